@@ -0,0 +1,253 @@
+// ============================================
+// BATCH PROCESSING OF CHAT TRANSCRIPTS
+// ============================================
+// Runs calculateRewards (Task10) and calculateEmojiCount (Task11) over a
+// whole chat log and builds a leaderboard for weekly kudos and payouts.
+
+const fs = require('fs');
+const readline = require('readline');
+const { calculateRewardReport } = require('./Task10.js');
+const { calculateEmojiCount } = require('./Task11.js');
+
+/*
+ * MESSAGE SHAPE:
+ *
+ * { author: 'dave', timestamp: '2026-10-12T09:30:00Z', channel: 'general',
+ *   text: '<@Alice /> gets 100 USDT :star:' }
+ *
+ * timestamp can be an ISO string, a Date or milliseconds since 1970.
+ * channel is optional (messages without one go to 'unknown').
+ */
+
+// Helper: Turn a timestamp (string, number or Date) into milliseconds
+function toTime(value) {
+    if (value === undefined || value === null) {
+        return NaN;
+    }
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+// Helper: Time of the last millisecond the range includes
+// A date-only value ('2026-10-18') means the whole day: new Date() reads it
+// as midnight UTC, which would leave out everything posted later that day
+function endOfRange(value) {
+    const time = toTime(value);
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        return time + 24 * 60 * 60 * 1000 - 1;
+    }
+    return time;
+}
+
+// Helper: Add every { key: number } of source onto target
+function addCounts(target, source) {
+    for (const key of Object.keys(source)) {
+        target[key] = (target[key] || 0) + source[key];
+    }
+}
+
+// Helper: Add every { currency: FixedDecimal } of source onto target
+// Adding up numbers would bring back the float noise (0.1 + 0.2 ETH in two
+// messages is 0.30000000000000004); all sums use precisionFor's scale
+function addAmounts(target, source) {
+    for (const currency of Object.keys(source)) {
+        target[currency] = target[currency] ? target[currency].add(source[currency]) : source[currency];
+    }
+}
+
+// Helper: Turn { currency: FixedDecimal } into numbers, once every message is in
+function amountsToNumbers(amounts) {
+    for (const currency of Object.keys(amounts)) {
+        amounts[currency] = amounts[currency].toNumber();
+    }
+}
+
+// Helper: Get (or create) the leaderboard entry for a person
+// Names, channels and authors come from the chat log, so everything keyed
+// by them has no prototype ("__proto__" is just another name)
+function entryFor(entries, name) {
+    if (!entries[name]) {
+        entries[name] = { name: name, rewards: Object.create(null), emojis: Object.create(null), channels: Object.create(null) };
+    }
+    return entries[name];
+}
+
+// Helper: Get (or create) one channel's breakdown inside an entry
+function channelFor(entry, channel) {
+    if (!entry.channels[channel]) {
+        entry.channels[channel] = { rewards: Object.create(null), emojis: Object.create(null) };
+    }
+    return entry.channels[channel];
+}
+
+// Helper: Score used to rank an entry
+// rankBy is 'emojis' (all counted emojis added up) or a currency code like 'USDT'
+function scoreOf(entry, rankBy) {
+    if (rankBy === 'emojis') {
+        let total = 0;
+        for (const name of Object.keys(entry.emojis)) {
+            total += entry.emojis[name];
+        }
+        return total;
+    }
+    return entry.rewards[rankBy] || 0;
+}
+
+// Builds a leaderboard from an array or async iterable of messages
+//
+// options.from / options.to - only messages inside this range count (inclusive;
+//                             a date-only to like '2026-10-18' includes that whole day)
+// options.emojis            - emojis to count, a list or 'all' (default: ['star'])
+// options.rankBy            - 'emojis' (default) or a currency code, e.g. 'USDT'
+// options.directory         - a UserDirectory; people are keyed by user id
+// options.currencies, options.symbols, options.aggregate, options.scope - passed to the parsers
+//
+// Returns:
+// {
+//   range:        { from, to },
+//   messageCount: number of messages inside the range,
+//   authors:      { author: number of messages posted },
+//   unresolved:   [{ name, raw, author, channel, timestamp }] - mentions the directory doesn't know
+//   leaderboard:  [{ rank, name, rewards, emojis, channels: { channel: { rewards, emojis } } }]
+// }
+async function summarizeTranscript(messages, options = {}) {
+    const from = options.from === undefined ? -Infinity : toTime(options.from);
+    const to = options.to === undefined ? Infinity : endOfRange(options.to);
+    let emojis = options.emojis || ['star'];
+    if (typeof emojis === 'string' && emojis !== 'all') {
+        emojis = [emojis]; // Always ask for the { name: { emoji: count } } matrix
+    }
+    const rankBy = options.rankBy || 'emojis';
+
+    const entries = Object.create(null);
+    const authors = Object.create(null);
+    const unresolved = [];
+    let messageCount = 0;
+
+    // for await works for plain arrays and async iterables alike
+    for await (const message of messages) {
+        const time = toTime(message.timestamp);
+        // Skip messages with no usable time or outside the date range
+        if (time !== time || time < from || time > to) {
+            continue;
+        }
+
+        messageCount++;
+        const author = message.author || 'unknown';
+        const channel = message.channel || 'unknown';
+        authors[author] = (authors[author] || 0) + 1;
+
+        const text = message.text || '';
+
+        // Rewards: { name: { currency: FixedDecimal } }
+        const report = calculateRewardReport(text, options);
+        const rewards = report.sums;
+        for (const mention of report.unresolved) {
+            unresolved.push({ name: mention.name, raw: mention.raw, author, channel, timestamp: message.timestamp });
+        }
+        for (const name of Object.keys(rewards)) {
+            const entry = entryFor(entries, name);
+            addAmounts(entry.rewards, rewards[name]);
+            addAmounts(channelFor(entry, channel).rewards, rewards[name]);
+        }
+
+        // Emojis: { name: { emoji: count } }
+        const counts = calculateEmojiCount(text, emojis, options);
+        for (const name of Object.keys(counts)) {
+            if (Object.keys(counts[name]).length === 0) {
+                continue;
+            }
+            const entry = entryFor(entries, name);
+            addCounts(entry.emojis, counts[name]);
+            addCounts(channelFor(entry, channel).emojis, counts[name]);
+        }
+    }
+
+    for (const name of Object.keys(entries)) {
+        amountsToNumbers(entries[name].rewards);
+        for (const channel of Object.keys(entries[name].channels)) {
+            amountsToNumbers(entries[name].channels[channel].rewards);
+        }
+    }
+
+    // Highest score first, ties broken by name so the order is stable
+    const leaderboard = Object.values(entries).sort((a, b) => {
+        const diff = scoreOf(b, rankBy) - scoreOf(a, rankBy);
+        return diff !== 0 ? diff : (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    });
+    for (let i = 0; i < leaderboard.length; i++) {
+        leaderboard[i] = { rank: i + 1, ...leaderboard[i] };
+    }
+
+    return {
+        range: {
+            from: from === -Infinity ? null : new Date(from).toISOString(),
+            to: to === Infinity ? null : new Date(to).toISOString()
+        },
+        messageCount: messageCount,
+        authors: authors,
+        unresolved: unresolved,
+        leaderboard: leaderboard
+    };
+}
+
+// Reads an exported chat log file one message at a time
+// Supports a JSON array file ("[{...}, {...}]") or JSON Lines (one message per line)
+async function* readChatLog(filePath) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+
+    let arrayText = null; // Collects the whole file when it is a JSON array
+    for await (const line of lines) {
+        if (arrayText !== null) {
+            arrayText += '\n' + line;
+            continue;
+        }
+
+        const trimmed = line.trim();
+        if (trimmed.length === 0) {
+            continue;
+        }
+        if (trimmed[0] === '[') {
+            arrayText = line;
+            continue;
+        }
+        yield JSON.parse(trimmed);
+    }
+
+    if (arrayText !== null) {
+        yield* JSON.parse(arrayText);
+    }
+}
+
+module.exports = { summarizeTranscript, readChatLog };
+
+if (require.main === module) {
+    const transcript = [
+        { author: 'dave', channel: 'general', timestamp: '2026-10-12T09:30:00Z',
+          text: '<@Alice /> shipped the release :star: 100 USDT' },
+        { author: 'erin', channel: 'support', timestamp: '2026-10-13T14:00:00Z',
+          text: 'Thanks <@Bob /> :star::star: and <@Alice /> :heart:' },
+        { author: 'dave', channel: 'general', timestamp: '2026-10-14T17:45:00Z',
+          text: '<@Bob /> 50 USDT for the hotfix :star:' },
+        { author: 'erin', channel: 'general', timestamp: '2026-10-20T08:00:00Z',
+          text: '<@Alice /> :star: next week already' }
+    ];
+
+    const filePath = process.argv[2];
+    const messages = filePath ? readChatLog(filePath) : transcript;
+
+    summarizeTranscript(messages, {
+        from: '2026-10-12',
+        to: '2026-10-18',
+        emojis: ['star', 'heart']
+    }).then(summary => {
+        console.log(JSON.stringify(summary, null, 2));
+        // Output (sample transcript):
+        // messageCount: 3, authors: { dave: 2, erin: 1 }
+        // leaderboard:
+        //   1. bob   - emojis { star: 3 }, rewards { USDT: 50 }
+        //   2. alice - emojis { star: 1, heart: 1 }, rewards { USDT: 100 }
+    });
+}
@@ -0,0 +1,62 @@
+// ============================================
+// PARSE DIAGNOSTICS FOR MESSAGE PARSERS
+// ============================================
+// Strict mode in Task9 (extractAmount), Task10 (calculateRewards) and
+// Task12 (computeFunds) reports every part of a message it couldn't
+// understand instead of silently skipping it.
+
+/*
+ * DIAGNOSTIC SHAPE:
+ *
+ * {
+ *   code:     'UNCLOSED_MENTION',
+ *   severity: 'error' | 'warning',
+ *   message:  'Mention "<@Bob" is missing its closing "/>"',
+ *   line:     1,      (1-based)
+ *   column:   12,     (1-based, counted in UTF-16 code units like text.length)
+ *   start:    11,     (offsets in the message, end is exclusive)
+ *   end:      16,
+ *   raw:      '<@Bob'
+ * }
+ *
+ * error   - something may be paid to the wrong person or not at all
+ * warning - something was ignored but nothing is paid wrongly
+ */
+
+// Turn an offset into a 1-based line and column
+// "\r\n", "\n" and "\r" all end a line
+function lineColumn(text, offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < offset && i < text.length; i++) {
+        const charCode = text.charCodeAt(i);
+        if (charCode === 10 || (charCode === 13 && text.charCodeAt(i + 1) !== 10)) { // \n or lone \r
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line: line, column: offset - lineStart + 1 };
+}
+
+// Build one diagnostic for text.slice(start, end)
+function createDiagnostic(text, code, severity, message, start, end) {
+    const position = lineColumn(text, start);
+    return {
+        code: code,
+        severity: severity,
+        message: message,
+        line: position.line,
+        column: position.column,
+        start: start,
+        end: end,
+        raw: text.slice(start, end)
+    };
+}
+
+// Human readable one-liner, e.g. for a bot reply:
+// 1:12 error UNCLOSED_MENTION Mention "<@Bob" is missing its closing "/>"
+function formatDiagnostic(diagnostic) {
+    return `${diagnostic.line}:${diagnostic.column} ${diagnostic.severity} ${diagnostic.code} ${diagnostic.message}`;
+}
+
+module.exports = { lineColumn, createDiagnostic, formatDiagnostic };
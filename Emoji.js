@@ -0,0 +1,150 @@
+// ============================================
+// EMOJI SHORTCODES AND UNICODE EMOJI
+// ============================================
+// Lets the tokenizer treat ":star:" and "⭐" as the same emoji.
+
+/*
+ * HOW A UNICODE EMOJI IS BUILT:
+ *
+ * ⭐        U+2B50                      one code point
+ * ❤️        U+2764 U+FE0F               base + variation selector 16 ("show as emoji")
+ * 👍🏽       U+1F44D U+1F3FD             base + skin-tone modifier
+ * 👩‍💻       U+1F469 U+200D U+1F4BB      two emoji glued by a zero width joiner (ZWJ)
+ * 🇳🇬       U+1F1F3 U+1F1EC             flag = pair of regional indicator letters
+ * ©️        U+00A9 U+FE0F               text symbol, an emoji only with VS16 (a bare "©" is text)
+ *
+ * We read one whole emoji as a single token, then build a canonical form
+ * without variation selectors and skin tones so 👍 and 👍🏽 count together.
+ */
+
+// Common shortcodes and the emoji they stand for
+// No prototype: ":toString:" or ":constructor:" in a message must not find
+// the inherited Object methods
+const SHORTCODES = Object.assign(Object.create(null), {
+    star: '⭐', star2: '🌟', heart: '❤️', fire: '🔥', tada: '🎉',
+    '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎',
+    clap: '👏', rocket: '🚀', '100': '💯', pray: '🙏', eyes: '👀',
+    smile: '😄', joy: '😂', heart_eyes: '😍', sparkles: '✨',
+    muscle: '💪', trophy: '🏆', medal: '🏅', gem: '💎', moneybag: '💰',
+    white_check_mark: '✅', check: '✔️', wave: '👋', raised_hands: '🙌',
+    technologist: '🧑‍💻', woman_technologist: '👩‍💻', man_technologist: '👨‍💻'
+});
+
+const ZWJ = 0x200d;
+const VS16 = 0xfe0f;
+
+// Helper: Skin-tone modifiers 🏻 🏼 🏽 🏾 🏿
+function isSkinTone(codePoint) {
+    return codePoint >= 0x1f3fb && codePoint <= 0x1f3ff;
+}
+
+// Helper: Regional indicator letters used in flags (🇦 - 🇿)
+function isRegionalIndicator(codePoint) {
+    return codePoint >= 0x1f1e6 && codePoint <= 0x1f1ff;
+}
+
+// Helper: Tag characters used in sub-region flags like 🏴󠁧󠁢󠁳󠁣󠁴󠁿
+function isTag(codePoint) {
+    return codePoint >= 0xe0020 && codePoint <= 0xe007f;
+}
+
+// Helper: Pictographic code points (the Unicode Extended_Pictographic property)
+// Skips ASCII so "#", "*" and digits are never read as emoji
+function isPictographic(codePoint) {
+    return codePoint > 0x7f && /\p{Extended_Pictographic}/u.test(String.fromCodePoint(codePoint));
+}
+
+// Helper: Pictographs shown as emoji by default (the Emoji_Presentation property)
+// Others, like ©, ®, ™, ‼ and ❤, are text unless VS16 or a skin tone follows
+function isEmojiPresentation(codePoint) {
+    return /\p{Emoji_Presentation}/u.test(String.fromCodePoint(codePoint));
+}
+
+// Remove variation selectors and skin tones: "👍🏽" → "👍", "❤️" → "❤"
+function canonicalEmoji(emoji) {
+    let result = '';
+    for (const char of emoji) {
+        const codePoint = char.codePointAt(0);
+        if (codePoint !== VS16 && !isSkinTone(codePoint)) {
+            result += char;
+        }
+    }
+    return result;
+}
+
+// Canonical unicode → shortcode name, built once from SHORTCODES
+// The first name listed wins (thumbsup and +1 both give '+1')
+const NAMES_BY_EMOJI = Object.create(null);
+for (const name of Object.keys(SHORTCODES)) {
+    const key = canonicalEmoji(SHORTCODES[name]);
+    if (!NAMES_BY_EMOJI[key]) {
+        NAMES_BY_EMOJI[key] = name;
+    }
+}
+
+// The name we count an emoji under
+// Known emoji use their shortcode name ("⭐" → "star", ":star:" → "star"),
+// unknown unicode emoji use their canonical form ("🦄" → "🦄")
+function emojiKey(nameOrEmoji) {
+    if (SHORTCODES[nameOrEmoji]) {
+        // "thumbsup" and "+1" are the same emoji
+        return NAMES_BY_EMOJI[canonicalEmoji(SHORTCODES[nameOrEmoji])];
+    }
+    const canonical = canonicalEmoji(nameOrEmoji);
+    return NAMES_BY_EMOJI[canonical] || canonical;
+}
+
+// Try to read one whole unicode emoji starting at index i
+// Returns the index just after it, or -1 if there is no emoji at i
+function readUnicodeEmoji(text, i) {
+    const first = text.codePointAt(i);
+    if (first === undefined) {
+        return -1;
+    }
+
+    // Flags: exactly two regional indicators
+    if (isRegionalIndicator(first)) {
+        const second = text.codePointAt(i + 2);
+        return second !== undefined && isRegionalIndicator(second) ? i + 4 : -1;
+    }
+
+    if (!isPictographic(first)) {
+        return -1;
+    }
+
+    let j = i + (first > 0xffff ? 2 : 1);
+
+    // "Copyright © 2024" is not an emoji award, "©️" is
+    const second = text.codePointAt(j);
+    if (!isEmojiPresentation(first) && second !== VS16 && !isSkinTone(second)) {
+        return -1;
+    }
+    while (j < text.length) {
+        const codePoint = text.codePointAt(j);
+
+        // Modifiers stay with the emoji they follow
+        if (codePoint === VS16 || isSkinTone(codePoint) || isTag(codePoint)) {
+            j += codePoint > 0xffff ? 2 : 1;
+        }
+        // ZWJ only joins when another emoji follows it
+        else if (codePoint === ZWJ && j + 1 < text.length && isPictographic(text.codePointAt(j + 1))) {
+            const next = text.codePointAt(j + 1);
+            j += 1 + (next > 0xffff ? 2 : 1);
+        } else {
+            break;
+        }
+    }
+
+    return j;
+}
+
+module.exports = { SHORTCODES, canonicalEmoji, emojiKey, readUnicodeEmoji, isPictographic, isEmojiPresentation };
+
+if (require.main === module) {
+    console.log(emojiKey('⭐'), emojiKey('star'), emojiKey('❤️'), emojiKey('❤'), emojiKey('thumbsup'));
+    // Output: star star heart heart +1
+
+    const text = 'Go 👍🏽 team 👩‍💻!';
+    console.log(text.slice(3, readUnicodeEmoji(text, 3)), emojiKey('👍🏽'));
+    // Output: 👍🏽 +1
+}
@@ -0,0 +1,224 @@
+// ============================================
+// EXPORTERS: CSV, JSON LINES AND PAYOUT FILES
+// ============================================
+// Turns calculateRewards (Task10) and calculateEmojiCount (Task11) results
+// into files our payment tooling and spreadsheets can read directly.
+
+const fs = require('fs');
+const { FixedDecimal, precisionFor } = require('./FixedDecimal.js');
+const { toDecimalString } = require('./Task9.Js');
+
+/*
+ * FORMATS:
+ *
+ * csv    user,currency,amount          (rewards)
+ *        user,emoji,count              (emoji counts)
+ * jsonl  {"user":"alice","currency":"USDT","amount":1300}   one object per line
+ * payout address,amount,currency,memo  (rewards only, one row per transfer)
+ *        amounts carry every decimal place of the currency: 1300.000000 USDT
+ */
+
+// { alice: { USDT: 1300, ETH: 0.5 } } → [{ user, currency, amount }, ...]
+function rewardsToRows(totals) {
+    const rows = [];
+    for (const user of Object.keys(totals)) {
+        for (const currency of Object.keys(totals[user])) {
+            rows.push({ user, currency, amount: totals[user][currency] });
+        }
+    }
+    return rows;
+}
+
+// { alice: 2 } or { alice: { star: 2 } } → [{ user, emoji, count }, ...]
+// emoji is only needed for the single-emoji shape
+function emojiCountsToRows(counts, emoji = '') {
+    const rows = [];
+    for (const user of Object.keys(counts)) {
+        if (typeof counts[user] === 'number') {
+            rows.push({ user, emoji, count: counts[user] });
+            continue;
+        }
+        for (const name of Object.keys(counts[user])) {
+            rows.push({ user, emoji: name, count: counts[user][name] });
+        }
+    }
+    return rows;
+}
+
+// Helper: One CSV field, quoted when it has a comma, quote or line break
+// Text a spreadsheet would run as a formula (=, +, -, @, tab or CR first, e.g. a
+// user named '=HYPERLINK(...)') gets a leading ' so it's shown as plain text.
+// Plain signed numbers like '-0.5' only ever evaluate to themselves, so they
+// are left alone, and so are the emoji keys '+1' and '-1'
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.map(csvField).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toJsonLines(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+// Helper: A number as a plain decimal string, rounded to 15 significant digits
+// A double holds no more than that, so float noise goes away:
+// 0.1 + 0.2 → '0.3', 1e-7 → '0.0000001'
+function numberToDecimal(value) {
+    const [mantissa, exponent = '0'] = value.toPrecision(15).split('e');
+    const negative = mantissa[0] === '-';
+    const [whole, fraction = ''] = (negative ? mantissa.slice(1) : mantissa).split('.');
+    return (negative ? '-' : '') + toDecimalString(whole + fraction, fraction.length - Number(exponent));
+}
+
+// Helper: Amount with exactly the decimal places of its currency (FixedDecimal
+// rounding), e.g. 0.30000000000000004 ETH → '0.300000000000000000'
+// value can be a number, a decimal string or a FixedDecimal; the last two stay exact
+// options.precision / options.defaultPrecision work like in computeFunds
+function plainAmount(value, currency, options = {}) {
+    const scale = precisionFor(currency, options);
+    if (typeof value === 'number') {
+        value = numberToDecimal(value);
+    }
+    return FixedDecimal.parse(String(value), scale).toString();
+}
+
+// Load a { user: walletAddress } mapping from a JSON file
+function loadWallets(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Helper: Wallet address for a user from options.wallets, then the
+// directory record's "wallet" field (options.directory), or null
+// Only own keys of options.wallets count, so a user named "constructor" has none
+function walletFor(user, options) {
+    if (options.wallets && Object.prototype.hasOwnProperty.call(options.wallets, user) && options.wallets[user]) {
+        return options.wallets[user];
+    }
+    if (options.directory) {
+        const record = options.directory.resolve(user);
+        if (record && record.wallet) {
+            return record.wallet;
+        }
+    }
+    return null;
+}
+
+// Bulk payout file: address,amount,currency,memo
+// Users without a wallet are left out (never guessed) and listed in missing.
+//
+// options.wallets   - { user: address } (see loadWallets)
+// options.directory - a UserDirectory whose records have a "wallet" field
+// options.memo      - memo template, {user} and {currency} are filled in
+//                     (default: 'Reward for {user}')
+// options.precision - decimal places per currency, e.g. { POINTS: 0 } (see FixedDecimal.js)
+//
+// Returns { text, missing: [{ user, currency, amount }] }
+function toPayoutFile(totals, options = {}) {
+    const memo = options.memo || 'Reward for {user}';
+    const rows = [];
+    const missing = [];
+
+    for (const row of rewardsToRows(totals)) {
+        const address = walletFor(row.user, options);
+        if (!address) {
+            missing.push(row);
+            continue;
+        }
+        rows.push({
+            address: address,
+            amount: plainAmount(row.amount, row.currency, options),
+            currency: row.currency,
+            // Function replacers: "$&" or "$'" in a user name is just text
+            memo: memo.replace(/\{user\}/g, () => row.user).replace(/\{currency\}/g, () => row.currency)
+        });
+    }
+
+    return { text: toCsv(rows, ['address', 'amount', 'currency', 'memo']), missing: missing };
+}
+
+// Rewards as 'csv', 'jsonl' or 'payout' text
+// (for 'payout' use toPayoutFile directly to also get the missing wallets)
+function exportRewards(totals, format, options = {}) {
+    if (format === 'payout') {
+        return toPayoutFile(totals, options).text;
+    }
+    const rows = rewardsToRows(totals);
+    return format === 'jsonl' ? toJsonLines(rows) : toCsv(rows, ['user', 'currency', 'amount']);
+}
+
+// Emoji counts as 'csv' or 'jsonl' text
+function exportEmojiCounts(counts, format, emoji) {
+    const rows = emojiCountsToRows(counts, emoji);
+    return format === 'jsonl' ? toJsonLines(rows) : toCsv(rows, ['user', 'emoji', 'count']);
+}
+
+// Write an export straight to a file
+function writeExport(filePath, text) {
+    fs.writeFileSync(filePath, text, 'utf8');
+}
+
+module.exports = {
+    rewardsToRows, emojiCountsToRows, toCsv, toJsonLines, toPayoutFile,
+    exportRewards, exportEmojiCounts, loadWallets, writeExport
+};
+
+if (require.main === module) {
+    const totals = { alice: { USDT: 1300, ETH: 0.5 }, bob: { USDT: 500 }, charlie: { USDT: 600 } };
+
+    console.log(exportRewards(totals, 'csv'));
+    // Output:
+    // user,currency,amount
+    // alice,USDT,1300
+    // alice,ETH,0.5
+    // bob,USDT,500
+    // charlie,USDT,600
+
+    console.log(exportEmojiCounts({ alice: 1, bob: 0, clara: 2 }, 'jsonl', 'star'));
+    // Output:
+    // {"user":"alice","emoji":"star","count":1}
+    // {"user":"bob","emoji":"star","count":0}
+    // {"user":"clara","emoji":"star","count":2}
+
+    // Cells that would start a spreadsheet formula are kept as text
+    console.log(toCsv([{ user: '=HYPERLINK("http://evil.example")', currency: 'USDT', amount: -0.5 }], ['user', 'currency', 'amount']));
+    // Output:
+    // user,currency,amount
+    // "'=HYPERLINK(""http://evil.example"")",USDT,-0.5
+
+    console.log(exportEmojiCounts({ alice: { '+1': 2, '-1': 1 } }, 'csv'));
+    // Output:
+    // user,emoji,count
+    // alice,+1,2
+    // alice,-1,1
+
+    const payout = toPayoutFile(totals, {
+        wallets: { alice: '0xA11CE', bob: '0xB0B' },
+        memo: 'October kudos ({currency})'
+    });
+    console.log(payout.text);
+    // Output:
+    // address,amount,currency,memo
+    // 0xA11CE,1300.000000,USDT,October kudos (USDT)
+    // 0xA11CE,0.500000000000000000,ETH,October kudos (ETH)
+    // 0xB0B,500.000000,USDT,October kudos (USDT)
+    console.log(payout.missing);
+    // Output: [ { user: 'charlie', currency: 'USDT', amount: 600 } ]
+    
+    // Float sums never reach the payout file
+    console.log(toPayoutFile({ alice: { ETH: 0.1 + 0.2, JPY: 1e21, BTC: 1e-7 } }, { wallets: { alice: '0xA' } }).text);
+    // Output:
+    // address,amount,currency,memo
+    // 0xA,0.300000000000000000,ETH,Reward for alice
+    // 0xA,1000000000000000000000,JPY,Reward for alice
+    // 0xA,0.00000010,BTC,Reward for alice
+}
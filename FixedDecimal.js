@@ -0,0 +1,144 @@
+// ============================================
+// EXACT FIXED-POINT DECIMALS (BigInt BACKED)
+// ============================================
+// Money can't live in floats: 0.1 + 0.2 === 0.30000000000000004.
+// A FixedDecimal stores a whole number of the smallest unit instead,
+// like a wallet does (1 USDT = 1000000 units, 1 ETH = 10^18 wei).
+
+/*
+ * EXAMPLE (scale 6, like USDT):
+ *
+ *   '1250.75'  →  units = 1250750000n, scale = 6
+ *   toString() →  '1250.750000'
+ *
+ * Adding and subtracting BigInt units is always exact.
+ */
+
+// Smallest unit of common tokens and currencies (decimal places)
+const DEFAULT_PRECISION = {
+    USDT: 6, USDC: 6, DAI: 18, ETH: 18, BTC: 8, SOL: 9,
+    USD: 2, EUR: 2, GBP: 2, JPY: 0
+};
+
+class FixedDecimal {
+    constructor(units, scale) {
+        this.units = units; // BigInt count of the smallest unit
+        this.scale = scale; // Number of decimal places
+    }
+
+    // Parse a plain decimal string ('-1250.75', '0.000001', '12000')
+    // Digits past the scale are rounded half away from zero;
+    // check hasMoreDigits(text, scale) first to detect that
+    static parse(text, scale) {
+        text = String(text).trim();
+        let sign = 1n;
+        if (text[0] === '-' || text[0] === '+') {
+            sign = text[0] === '-' ? -1n : 1n;
+            text = text.slice(1);
+        }
+        if (!/^(\d+\.?\d*|\.\d+)$/.test(text)) {
+            throw new SyntaxError(`"${text}" is not a decimal number`);
+        }
+
+        const dot = text.indexOf('.');
+        const whole = dot === -1 ? text : text.slice(0, dot);
+        const fraction = dot === -1 ? '' : text.slice(dot + 1);
+
+        let units = BigInt((whole || '0') + fraction.slice(0, scale).padEnd(scale, '0'));
+        // Round on the first dropped digit
+        if (fraction.length > scale && fraction.charCodeAt(scale) >= 53) { // '5' or more
+            units += 1n;
+        }
+
+        return new FixedDecimal(sign * units, scale);
+    }
+
+    // Does the decimal string have more decimal places than the scale allows?
+    static hasMoreDigits(text, scale) {
+        const dot = String(text).indexOf('.');
+        if (dot === -1) {
+            return false;
+        }
+        const fraction = String(text).slice(dot + 1).replace(/0+$/, '');
+        return fraction.length > scale;
+    }
+
+    static zero(scale) {
+        return new FixedDecimal(0n, scale);
+    }
+
+    add(other) {
+        this.checkScale(other);
+        return new FixedDecimal(this.units + other.units, this.scale);
+    }
+
+    subtract(other) {
+        this.checkScale(other);
+        return new FixedDecimal(this.units - other.units, this.scale);
+    }
+
+    negate() {
+        return new FixedDecimal(-this.units, this.scale);
+    }
+
+    // -1, 0 or 1 like a sort compare function
+    compare(other) {
+        this.checkScale(other);
+        return this.units < other.units ? -1 : this.units > other.units ? 1 : 0;
+    }
+
+    // Helper: Mixing scales would silently shift the decimal point
+    checkScale(other) {
+        if (other.scale !== this.scale) {
+            throw new RangeError(`Cannot mix scale ${this.scale} with scale ${other.scale}`);
+        }
+    }
+
+    // '1250.750000' - always shows every decimal place of the scale
+    toString() {
+        const negative = this.units < 0n;
+        let digits = (negative ? -this.units : this.units).toString();
+        if (this.scale === 0) {
+            return (negative ? '-' : '') + digits;
+        }
+        digits = digits.padStart(this.scale + 1, '0');
+        const whole = digits.slice(0, digits.length - this.scale);
+        const fraction = digits.slice(digits.length - this.scale);
+        return (negative ? '-' : '') + whole + '.' + fraction;
+    }
+
+    // Nearest JS number, for display or charts only
+    toNumber() {
+        return parseFloat(this.toString());
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+// Decimal places for a currency: options.precision first, then the defaults,
+// then options.defaultPrecision (8 if not given)
+function precisionFor(currency, options = {}) {
+    if (options.precision && options.precision[currency] !== undefined) {
+        return options.precision[currency];
+    }
+    if (DEFAULT_PRECISION[currency] !== undefined) {
+        return DEFAULT_PRECISION[currency];
+    }
+    return options.defaultPrecision === undefined ? 8 : options.defaultPrecision;
+}
+
+module.exports = { FixedDecimal, DEFAULT_PRECISION, precisionFor };
+
+if (require.main === module) {
+    console.log(0.1 + 0.2);
+    // Output: 0.30000000000000004
+    console.log(FixedDecimal.parse('0.1', 6).add(FixedDecimal.parse('0.2', 6)).toString());
+    // Output: 0.300000
+
+    console.log(FixedDecimal.parse('1250.75', 6).subtract(FixedDecimal.parse('0.000001', 6)).toString());
+    // Output: 1250.749999
+    console.log(FixedDecimal.parse('-0.0000005', 6).toString(), FixedDecimal.hasMoreDigits('0.0000005', 6));
+    // Output: -0.000001 true
+}
@@ -0,0 +1,682 @@
+// ============================================
+// STREAMING JSON PARSER AND SERIALIZER
+// ============================================
+// customParse/customStringify (Task20) need the whole document as one
+// string. For exports of hundreds of megabytes this reads and writes JSON
+// piece by piece instead, so memory stays bounded by the largest value
+// we actually keep, not by the file.
+
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { once } = require('events');
+const { createStringifyState, prepareValue, quoteJSONString, defineValue } = require('./Task20.js');
+
+/*
+ * EVENTS (SAX style) for '{"users":[{"id":1}]}':
+ *
+ *   { type: 'startObject', path: [] }
+ *   { type: 'key',         path: [], key: 'users' }
+ *   { type: 'startArray',  path: ['users'] }
+ *   { type: 'startObject', path: ['users', 0] }
+ *   { type: 'key',         path: ['users', 0], key: 'id' }
+ *   { type: 'value',       path: ['users', 0, 'id'], value: 1 }
+ *   { type: 'endObject',   path: ['users', 0] }
+ *   { type: 'endArray',    path: ['users'] }
+ *   { type: 'endObject',   path: [] }
+ *
+ * path is where the value sits in the document (object keys and array
+ * indexes). Each event gets its own copy, so it's safe to keep.
+ *
+ * JSONPATH (the subset we need for exports):
+ *
+ *   $              the whole document
+ *   .name ['name'] an object key
+ *   [0]            an array index
+ *   [*] .*         every element / every property
+ *   ..name         name at any depth below
+ *
+ *   '$.users[*]'   → each user object, one at a time
+ *   '$..id'        → every id anywhere
+ */
+
+const WHITESPACE = ' \t\n\r';
+const NUMBER = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Incremental parser: feed text with write(chunk), get the events found so far
+// options.multiple - accept several documents one after another
+//                    (JSON Lines, or concatenated JSON)
+class JsonEventParser {
+    constructor(options = {}) {
+        this.multiple = Boolean(options.multiple);
+        this.stack = [];       // open containers: { type: 'object' | 'array', index }
+        this.path = [];        // keys/indexes down to the current value
+        this.expect = 'value'; // what the grammar allows next
+        this.finished = false; // a whole document has been read
+
+        // Token that isn't complete yet (cut at the end of a chunk)
+        this.token = null;     // null, 'string', 'number' or 'literal'
+        this.tokenText = '';   // decoded string so far, or raw number/literal
+        this.escape = null;    // null, '\\' or the hex digits read after '\u'
+
+        // Position of the next character, for error messages
+        this.position = 0;
+        this.line = 1;
+        this.column = 1;
+        this.tokenStart = null;
+    }
+
+    write(chunk) {
+        const events = [];
+        let i = 0;
+        while (i < chunk.length) {
+            // Fast path: plain characters inside a string are copied in one go
+            if (this.token === 'string' && this.escape === null) {
+                let end = i;
+                while (end < chunk.length) {
+                    const code = chunk.charCodeAt(end);
+                    if (code === 34 || code === 92 || code < 0x20) { // " \ or a control character
+                        break;
+                    }
+                    end++;
+                }
+                if (end > i) {
+                    this.tokenText += chunk.slice(i, end);
+                    this.position += end - i;
+                    this.column += end - i;
+                    i = end;
+                    continue;
+                }
+            }
+
+            this.readChar(chunk[i], events);
+            if (chunk[i] === '\n') {
+                this.line++;
+                this.column = 1;
+            } else {
+                this.column++;
+            }
+            this.position++;
+            i++;
+        }
+        return events;
+    }
+
+    // No more input: finish a trailing number/literal and check the document is complete
+    end() {
+        const events = [];
+        if (this.token === 'number' || this.token === 'literal') {
+            this.finishToken(events);
+        }
+        if (this.token === 'string') {
+            this.fail(this.tokenStart, `'"'`, 'end of input');
+        }
+        // (with options.multiple, no document at all is fine too)
+        if ((!this.finished && !this.multiple) || this.stack.length > 0) {
+            this.fail(this.here(), this.expected(), 'end of input');
+        }
+        return events;
+    }
+
+    readChar(char, events) {
+        if (this.token === 'string') {
+            this.readStringChar(char, events);
+            return;
+        }
+        if (this.token !== null) {
+            const continues = this.token === 'number' ? '+-.eE0123456789'.includes(char) : char >= 'a' && char <= 'z';
+            if (continues) {
+                this.tokenText += char;
+                return;
+            }
+            this.finishToken(events);
+        }
+
+        if (WHITESPACE.includes(char)) {
+            return;
+        }
+        if (this.expect === 'done') {
+            this.fail(this.here(), 'end of input', `'${char}'`);
+        }
+
+        if (char === '"') {
+            if (this.expect !== 'value' && this.expect !== 'key' && this.expect !== 'valueOrEnd' && this.expect !== 'keyOrEnd') {
+                this.fail(this.here(), this.expected(), `'${char}'`);
+            }
+            this.startToken('string');
+        } else if (char === '-' || (char >= '0' && char <= '9')) {
+            this.needValue(char);
+            this.startToken('number');
+            this.tokenText = char;
+        } else if (char >= 'a' && char <= 'z') {
+            this.needValue(char);
+            this.startToken('literal');
+            this.tokenText = char;
+        } else if (char === '{' || char === '[') {
+            this.needValue(char);
+            const type = char === '{' ? 'object' : 'array';
+            events.push({ type: type === 'object' ? 'startObject' : 'startArray', path: this.path.slice() });
+            this.stack.push({ type, index: 0 });
+            this.expect = type === 'object' ? 'keyOrEnd' : 'valueOrEnd';
+            if (type === 'array') {
+                this.path.push(0);
+            }
+        } else if (char === '}' || char === ']') {
+            const top = this.stack[this.stack.length - 1];
+            const type = char === '}' ? 'object' : 'array';
+            const allowed = type === 'object'
+                ? this.expect === 'keyOrEnd' || this.expect === 'commaOrEnd'
+                : this.expect === 'valueOrEnd' || this.expect === 'commaOrEnd';
+            if (!top || top.type !== type || !allowed) {
+                this.fail(this.here(), this.expected(), `'${char}'`);
+            }
+            this.stack.pop();
+            if (type === 'array' || this.expect === 'commaOrEnd') {
+                this.path.pop(); // the index, or the key of the last property
+            }
+            events.push({ type: type === 'object' ? 'endObject' : 'endArray', path: this.path.slice() });
+            this.valueDone();
+        } else if (char === ':') {
+            if (this.expect !== 'colon') {
+                this.fail(this.here(), this.expected(), `':'`);
+            }
+            this.expect = 'value';
+        } else if (char === ',') {
+            if (this.expect !== 'commaOrEnd') {
+                this.fail(this.here(), this.expected(), `','`);
+            }
+            const top = this.stack[this.stack.length - 1];
+            if (top.type === 'array') {
+                top.index++;
+                this.path[this.path.length - 1] = top.index;
+                this.expect = 'value';
+            } else {
+                this.path.pop();
+                this.expect = 'key';
+            }
+        } else {
+            this.fail(this.here(), this.expected(), `'${char}'`);
+        }
+    }
+
+    // One character inside "…", escapes can be cut anywhere
+    readStringChar(char, events) {
+        if (this.escape === null) {
+            if (char === '"') {
+                this.finishToken(events);
+            } else if (char === '\\') {
+                this.escape = '\\';
+            } else if (char < ' ') {
+                this.fail(this.here(), 'an escaped control character', `'${char}'`);
+            } else {
+                this.tokenText += char;
+            }
+            return;
+        }
+
+        if (this.escape === '\\') {
+            if (char === 'u') {
+                this.escape = '';
+            } else if (Object.prototype.hasOwnProperty.call(ESCAPES, char)) {
+                this.tokenText += ESCAPES[char];
+                this.escape = null;
+            } else {
+                this.fail(this.here(), 'a valid escape', `'${char}'`);
+            }
+            return;
+        }
+
+        // Collecting the 4 hex digits of \uXXXX
+        if (!/[0-9a-fA-F]/.test(char)) {
+            this.fail(this.here(), `4 hex digits after '\\u'`, `'${char}'`);
+        }
+        this.escape += char;
+        if (this.escape.length === 4) {
+            this.tokenText += String.fromCharCode(parseInt(this.escape, 16));
+            this.escape = null;
+        }
+    }
+
+    startToken(token) {
+        this.token = token;
+        this.tokenText = '';
+        this.tokenStart = this.here();
+    }
+
+    // A string, number or literal is complete: turn it into an event
+    finishToken(events) {
+        const token = this.token;
+        const text = this.tokenText;
+        this.token = null;
+        this.tokenText = '';
+
+        if (token === 'string' && (this.expect === 'key' || this.expect === 'keyOrEnd')) {
+            events.push({ type: 'key', path: this.path.slice(), key: text });
+            this.path.push(text);
+            this.expect = 'colon';
+            return;
+        }
+
+        let value = text;
+        if (token === 'number') {
+            if (!NUMBER.test(text)) {
+                this.fail(this.tokenStart, 'a number', `'${text}'`);
+            }
+            value = Number(text); // validated above, Number() only rounds
+        } else if (token === 'literal') {
+            if (!Object.prototype.hasOwnProperty.call(LITERALS, text)) {
+                this.fail(this.tokenStart, 'a value', `'${text}'`);
+            }
+            value = LITERALS[text];
+        }
+        events.push({ type: 'value', path: this.path.slice(), value });
+        this.valueDone();
+    }
+
+    // Helper: Only '{', '[', numbers and literals reach here
+    needValue(char) {
+        if (this.expect !== 'value' && this.expect !== 'valueOrEnd') {
+            this.fail(this.here(), this.expected(), `'${char}'`);
+        }
+    }
+
+    // Helper: A value (or a whole container) ended, what may follow it?
+    valueDone() {
+        if (this.stack.length > 0) {
+            this.expect = 'commaOrEnd';
+            return;
+        }
+        this.finished = true;
+        this.expect = this.multiple ? 'value' : 'done';
+    }
+
+    here() {
+        return { position: this.position, line: this.line, column: this.column };
+    }
+
+    expected() {
+        const top = this.stack[this.stack.length - 1];
+        const closer = top && top.type === 'object' ? "'}'" : "']'";
+        switch (this.expect) {
+            case 'keyOrEnd': return "a string key or '}'";
+            case 'key': return 'a string key';
+            case 'colon': return "':'";
+            case 'commaOrEnd': return `',' or ${closer}`;
+            case 'done': return 'end of input';
+            default: return 'a value';
+        }
+    }
+
+    // Same message as customParse: Expected … but found … at position … (line …, column …)
+    fail(at, expected, found) {
+        const error = new SyntaxError(`Expected ${expected} but found ${found} at position ${at.position} (line ${at.line}, column ${at.column})`);
+        error.position = at.position;
+        error.line = at.line;
+        error.column = at.column;
+        throw error;
+    }
+}
+
+// Turn '$.users[*].id' into [{ key: 'users' }, { any: true }, { key: 'id' }]
+// A { deep: true } segment means "any number of levels" (from '..')
+function compileJsonPath(path) {
+    if (path[0] !== '$') {
+        throw new SyntaxError(`JSONPath must start with '$': ${path}`);
+    }
+    const segments = [];
+    let i = 1;
+    while (i < path.length) {
+        if (path.startsWith('..', i)) {
+            segments.push({ deep: true });
+            i += path[i + 2] === '[' ? 2 : 1; // keep the '.' of '..name' for the name
+        }
+        if (path[i] === '.') {
+            const match = /^\.(\*|[^.[\]]+)/.exec(path.slice(i));
+            if (!match) {
+                throw new SyntaxError(`Bad JSONPath at ${i}: ${path}`);
+            }
+            segments.push(match[1] === '*' ? { any: true } : { key: match[1] });
+            i += match[0].length;
+        } else if (path[i] === '[') {
+            const match = /^\[(\*|[0-9]+|'[^']*'|"[^"]*")\]/.exec(path.slice(i));
+            if (!match) {
+                throw new SyntaxError(`Bad JSONPath at ${i}: ${path}`);
+            }
+            const inner = match[1];
+            if (inner === '*') {
+                segments.push({ any: true });
+            } else if (inner[0] === "'" || inner[0] === '"') {
+                segments.push({ key: inner.slice(1, -1) });
+            } else {
+                segments.push({ index: Number(inner) });
+            }
+            i += match[0].length;
+        } else {
+            throw new SyntaxError(`Bad JSONPath at ${i}: ${path}`);
+        }
+    }
+    return segments;
+}
+
+// Does a document path like ['users', 3, 'id'] match the compiled segments?
+function matchesJsonPath(segments, path, s = 0, p = 0) {
+    if (s === segments.length) {
+        return p === path.length;
+    }
+    const segment = segments[s];
+    if (segment.deep) {
+        // '..' skips zero or more levels
+        for (let skip = p; skip < path.length; skip++) {
+            if (matchesJsonPath(segments, path, s + 1, skip)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (p === path.length) {
+        return false;
+    }
+    const part = path[p];
+    const ok = segment.any
+        || (segment.key !== undefined && part === segment.key)
+        || (segment.index !== undefined && part === segment.index);
+    return ok && matchesJsonPath(segments, path, s + 1, p + 1);
+}
+
+// Builds the values a JSONPath selects from parser events
+// push(events) returns [{ path, value }] for every value that is complete.
+// A value is built only while it's selected, everything else is skipped,
+// and values inside an already selected value aren't reported again.
+function createJsonSelector(jsonPath) {
+    const segments = compileJsonPath(jsonPath);
+    let building = null; // { path, stack: [containers], key }
+
+    // Helper: put value into the container being built
+    function add(value) {
+        const top = building.stack[building.stack.length - 1];
+        if (Array.isArray(top)) {
+            top.push(value);
+        } else {
+            defineValue(top, building.key, value);
+        }
+    }
+
+    return {
+        push(events) {
+            const selected = [];
+            for (const event of events) {
+                if (building === null) {
+                    if (event.type === 'key' || event.type === 'endObject' || event.type === 'endArray'
+                        || !matchesJsonPath(segments, event.path)) {
+                        continue;
+                    }
+                    if (event.type === 'value') {
+                        selected.push({ path: event.path, value: event.value });
+                        continue;
+                    }
+                    building = { path: event.path, stack: [event.type === 'startObject' ? {} : []], key: null };
+                    continue;
+                }
+
+                if (event.type === 'key') {
+                    building.key = event.key;
+                } else if (event.type === 'value') {
+                    add(event.value);
+                } else if (event.type === 'startObject' || event.type === 'startArray') {
+                    const container = event.type === 'startObject' ? {} : [];
+                    add(container);
+                    building.stack.push(container);
+                } else {
+                    const done = building.stack.pop();
+                    if (building.stack.length === 0) {
+                        selected.push({ path: building.path, value: done });
+                        building = null;
+                    }
+                }
+            }
+            return selected;
+        }
+    };
+}
+
+// Helper: Transform that parses the text coming in and pushes
+// whatever select(events) returns (object mode)
+function createParserStream(options, select) {
+    const parser = new JsonEventParser(options);
+    const decoder = new StringDecoder('utf8');
+    const pushAll = (stream, events) => {
+        for (const item of select(events)) {
+            stream.push(item);
+        }
+    };
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            try {
+                pushAll(this, parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk)));
+                callback();
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                pushAll(this, parser.write(decoder.end()));
+                pushAll(this, parser.end());
+                callback();
+            } catch (error) {
+                callback(error);
+            }
+        }
+    });
+}
+
+// Transform: text or Buffers in, parser events out
+function createJsonEventStream(options = {}) {
+    return createParserStream(options, events => events);
+}
+
+// Transform: text or Buffers in, { path, value } for each JSONPath match out
+// e.g. fs.createReadStream('export.json').pipe(createJsonSelectStream('$.messages[*]'))
+function createJsonSelectStream(jsonPath, options = {}) {
+    const selector = createJsonSelector(jsonPath);
+    return createParserStream(options, events => selector.push(events));
+}
+
+// Read a whole stream and call onValue(value, path) for each match
+// Resolves with the number of matches, rejects when the source fails (e.g. ENOENT)
+async function selectJsonValues(readable, jsonPath, onValue, options = {}) {
+    let count = 0;
+    // pipeline hands a source error on to the select stream, and so to this loop
+    const matches = pipeline(readable, createJsonSelectStream(jsonPath, options), () => {});
+    for await (const match of matches) {
+        onValue(match.value, match.path);
+        count++;
+    }
+    return count;
+}
+
+// Helper: JSON text of a prepared value that isn't an object or array,
+// undefined when it's left out (undefined, functions, symbols)
+function primitiveText(value) {
+    if (value === null) return 'null';
+    if (value === true) return 'true';
+    if (value === false) return 'false';
+    if (typeof value === 'string') return quoteJSONString(value);
+    if (typeof value === 'number') return isFinite(value) ? String(value) : 'null';
+    if (typeof value === 'bigint') throw new TypeError('Do not know how to serialize a BigInt');
+    return undefined;
+}
+
+// JSON text in pieces, same output as customStringify(value, replacer, space)
+// joined together. Walks with its own stack, so depth doesn't matter either.
+function* jsonChunks(value, replacer, space) {
+    const state = createStringifyState(replacer, space);
+    const frames = []; // open containers: { value, keys, index, count, stepback }
+
+    // Helper: Text for a value, opening a frame for objects and arrays
+    function begin(prepared) {
+        if (typeof prepared !== 'object' || prepared === null) {
+            return primitiveText(prepared);
+        }
+        if (state.stack.includes(prepared)) {
+            throw new TypeError('Converting circular structure to JSON');
+        }
+        state.stack.push(prepared);
+        const isArray = Array.isArray(prepared);
+        frames.push({
+            value: prepared,
+            isArray,
+            keys: isArray ? null : state.propertyList || Object.keys(prepared),
+            index: 0,
+            count: 0,
+            stepback: state.indent
+        });
+        state.indent += state.gap;
+        return isArray ? '[' : '{';
+    }
+
+    const first = begin(prepareValue(state, '', { '': value }));
+    if (first === undefined) {
+        return;
+    }
+    yield first;
+
+    while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const length = frame.isArray ? frame.value.length : frame.keys.length;
+
+        if (frame.index < length) {
+            const key = frame.isArray ? String(frame.index) : frame.keys[frame.index];
+            frame.index++;
+            const prepared = prepareValue(state, key, frame.value);
+
+            // Objects drop what can't be written, arrays write null instead
+            let prefix = (frame.count > 0 ? ',' : '') + (state.gap ? '\n' + state.indent : '');
+            if (!frame.isArray) {
+                if (typeof prepared !== 'object' && primitiveText(prepared) === undefined) {
+                    continue;
+                }
+                prefix += quoteJSONString(key) + ':' + (state.gap ? ' ' : '');
+            }
+            frame.count++;
+            const text = begin(prepared);
+            yield prefix + (text === undefined ? 'null' : text);
+            continue;
+        }
+
+        // Close the container
+        frames.pop();
+        state.stack.pop();
+        state.indent = frame.stepback;
+        yield (frame.count > 0 && state.gap ? '\n' + frame.stepback : '') + (frame.isArray ? ']' : '}');
+    }
+}
+
+// Helper: Wait for a writable's 'drain' or 'finish' event
+// A writable destroyed without an 'error' event never sends it, so 'close'
+// ends the wait too (and 'error' rejects, as with once)
+async function waitFor(writable, event) {
+    if (writable.destroyed) {
+        throw new Error(`Writable was closed before '${event}'`);
+    }
+    const controller = new AbortController();
+    try {
+        await Promise.race([
+            once(writable, event, { signal: controller.signal }),
+            once(writable, 'close', { signal: controller.signal }).then(() => {
+                throw new Error(`Writable was closed before '${event}'`);
+            })
+        ]);
+    } finally {
+        controller.abort(); // Removes the listener of the one that lost
+    }
+}
+
+// Serialize straight into a Writable (file, HTTP response, ...)
+// Pieces are collected into ~64 KB writes and we wait for 'drain' when the
+// stream is full, so only one batch is ever in memory.
+// options.replacer, options.space - as in customStringify
+// options.end - also end() the writable (default false)
+// Resolves with the number of characters written.
+async function writeJson(value, writable, options = {}) {
+    const BATCH = 64 * 1024;
+    let batch = '';
+    let written = 0;
+
+    const flush = async () => {
+        written += batch.length;
+        const ok = writable.write(batch);
+        batch = '';
+        if (!ok) {
+            await waitFor(writable, 'drain');
+        }
+    };
+
+    for (const piece of jsonChunks(value, options.replacer, options.space)) {
+        batch += piece;
+        if (batch.length >= BATCH) {
+            await flush();
+        }
+    }
+    if (batch.length > 0) {
+        await flush();
+    }
+    if (options.end) {
+        writable.end();
+        await waitFor(writable, 'finish');
+    }
+    return written;
+}
+
+module.exports = {
+    JsonEventParser, compileJsonPath, matchesJsonPath, createJsonSelector,
+    createJsonEventStream, createJsonSelectStream, selectJsonValues, jsonChunks, writeJson
+};
+
+if (require.main === module) {
+    const { Readable, Writable } = require('stream');
+
+    // A document cut in awkward places: inside a key, a number, an escape and "true"
+    const chunks = ['{"users":[{"na', 'me":"Al\\u00', 'e9","score":1', '2.5,"admin":tr', 'ue},{"name":"Bob","score":7}]}'];
+
+    const parser = new JsonEventParser();
+    const events = chunks.flatMap(chunk => parser.write(chunk)).concat(parser.end());
+    console.log(events.filter(event => event.type === 'value').map(event => event.path.join('.') + '=' + event.value));
+    // Output:
+    // [
+    //   'users.0.name=Alé',
+    //   'users.0.score=12.5',
+    //   'users.0.admin=true',
+    //   'users.1.name=Bob',
+    //   'users.1.score=7'
+    // ]
+
+    let output = '';
+    const sink = new Writable({
+        write(chunk, encoding, callback) {
+            output += chunk;
+            callback();
+        }
+    });
+
+    selectJsonValues(Readable.from(chunks), '$.users[*]', (user, path) => console.log(path, user))
+        .then(count => {
+            console.log('users:', count);
+            return writeJson({ users: [{ name: 'Alé', joined: new Date(0) }], skip: undefined }, sink, { space: 1 });
+        })
+        .then(length => console.log(length, output));
+    // Output:
+    // [ 'users', 0 ] { name: 'Alé', score: 12.5, admin: true }
+    // [ 'users', 1 ] { name: 'Bob', score: 7 }
+    // users: 2
+    // 84 {
+    //  "users": [
+    //   {
+    //    "name": "Alé",
+    //    "joined": "1970-01-01T00:00:00.000Z"
+    //   }
+    //  ]
+    // }
+}
@@ -0,0 +1,461 @@
+// ============================================
+// SHARED CHAT MESSAGE TOKENIZER
+// ============================================
+// Used by Task10 (calculateRewards), Task11 (calculateEmojiCount)
+// and Task12 (computeFunds) so they all read messages the same way.
+
+/*
+ * TOKEN TYPES:
+ *
+ * mention → <@Alice />, <@U123ABC>     { name: 'Alice', key: 'alice' }
+ * emoji   → :star:, ⭐, 👍🏽              { name: 'star', key: 'star', unicode: '⭐' }
+ * amount  → 1,300.50 USDC, $20, 1.2k   { value: 1300.5, decimal: '1300.5', currency: 'USDC' | null }
+ * text    → everything in between      { value: 'Hey ' }
+ *
+ * Every token also carries:
+ *   type  - one of the names above
+ *   raw   - the exact source text of the token
+ *   start - index of the first character in the message
+ *   end   - index just after the last character (text.slice(start, end) === raw)
+ *
+ * Anything that looks like the start of a token but is not complete
+ * (e.g. "<@Bob" with no "/>", or "::") is kept as plain text.
+ * With options.strict an unclosed mention becomes its own token instead:
+ *
+ * invalid → <@Bob                      { code: 'UNCLOSED_MENTION' }
+ *
+ * With options.scope ('sentence', 'line' or 'thread') zero-width break
+ * tokens mark where attribution scopes may end (see endsScope):
+ *
+ * break   → start of a line            { kind: 'line', depth: 1, blank: false }
+ *           after ". ", "! " or "? "   { kind: 'sentence' }
+ *
+ * depth is the number of ">" quote markers the line starts with
+ * ("> > reply" has depth 2), blank is true for an empty line.
+ */
+
+const { SHORTCODES, canonicalEmoji, emojiKey, readUnicodeEmoji, isPictographic, isEmojiPresentation } = require('./Emoji.js');
+const { readAmountAt } = require('./Task9.Js');
+
+// Helper: Check if character code is a digit (0-9)
+function isDigitCode(code) {
+    return code >= 48 && code <= 57;
+}
+
+// Helper: Check if character code is an uppercase letter (A-Z)
+function isUpperCode(code) {
+    return code >= 65 && code <= 90;
+}
+
+// Helper: Check if character code is a letter (A-Z or a-z)
+function isLetterCode(code) {
+    return isUpperCode(code) || (code >= 97 && code <= 122);
+}
+
+// Helper: Check if character code is a letter or a digit
+function isWordCode(code) {
+    return isLetterCode(code) || isDigitCode(code);
+}
+
+// Helper: Check if character code can appear inside an emoji shortcode
+// Letters, digits, "_", "+" and "-" (e.g. :thumbs_up:, :+1:, :e-mail:)
+function isShortcodeCode(code) {
+    return isWordCode(code) ||
+        code === 95 || code === 43 || code === 45; // _ + -
+}
+
+// Helper: Check if character code is a space or tab
+function isBlankCode(code) {
+    return code === 32 || code === 9;
+}
+
+// Helper: Build the lookup key for a mention name
+// Lowercased with inner spaces removed: "Mary Jane" → "maryjane"
+function mentionKey(name) {
+    let key = '';
+    for (let i = 0; i < name.length; i++) {
+        if (!isBlankCode(name.charCodeAt(i))) {
+            key += name[i].toLowerCase();
+        }
+    }
+    return key;
+}
+
+// Try to read "<@Name />" starting at index i
+// Returns a mention token, or null if there is no closing "/>" or ">"
+function readMention(text, i) {
+    // Looking for start of name: "<@"
+    if (text.charCodeAt(i) !== 60 || text.charCodeAt(i + 1) !== 64) { // < then @
+        return null;
+    }
+
+    let j = i + 2;
+    while (j < text.length) {
+        const charCode = text.charCodeAt(j);
+
+        // Name ends at "/>" (a space before the "/" is optional)
+        // or at ">" for platform IDs like "<@U123ABC>"
+        const isSlashClose = charCode === 47 && text.charCodeAt(j + 1) === 62; // / then >
+        if (isSlashClose || charCode === 62) { // >
+            const name = text.slice(i + 2, j).trim();
+            if (name.length === 0) {
+                return null;
+            }
+            const end = isSlashClose ? j + 2 : j + 1;
+            return {
+                type: 'mention',
+                name: name,
+                key: mentionKey(name),
+                raw: text.slice(i, end),
+                start: i,
+                end: end
+            };
+        }
+
+        // A new "<" or a line break means this mention was never closed
+        if (charCode === 60 || charCode === 10 || charCode === 13) {
+            return null;
+        }
+        j++;
+    }
+
+    return null;
+}
+
+// Strict mode: "<@Bob" with no closing ">" becomes an invalid token
+// covering "<@" and the name right after it (up to a space or "<")
+function readUnclosedMention(text, i) {
+    if (text.charCodeAt(i) !== 60 || text.charCodeAt(i + 1) !== 64) { // < then @
+        return null;
+    }
+
+    let j = i + 2;
+    while (j < text.length) {
+        const charCode = text.charCodeAt(j);
+        if (isBlankCode(charCode) || charCode === 60 || charCode === 10 || charCode === 13) {
+            break;
+        }
+        j++;
+    }
+
+    return {
+        type: 'invalid',
+        code: 'UNCLOSED_MENTION',
+        raw: text.slice(i, j),
+        start: i,
+        end: j
+    };
+}
+
+// Try to read ":shortcode:" starting at index i
+// Returns an emoji token, or null if i is not the start of a shortcode
+function readEmoji(text, i) {
+    if (text.charCodeAt(i) !== 58) { // :
+        return null;
+    }
+
+    let j = i + 1;
+    while (j < text.length && isShortcodeCode(text.charCodeAt(j))) {
+        j++;
+    }
+
+    // Need at least one shortcode character and a closing ":"
+    if (j === i + 1 || text.charCodeAt(j) !== 58) {
+        return null;
+    }
+
+    const name = text.slice(i + 1, j);
+    return {
+        type: 'emoji',
+        name: name,
+        key: emojiKey(name), // ":thumbsup:" and ":+1:" share the key '+1'
+        unicode: SHORTCODES[name] || null,
+        raw: text.slice(i, j + 1),
+        start: i,
+        end: j + 1
+    };
+}
+
+// Try to read a literal unicode emoji ("⭐", "❤️", "👍🏽", "👩‍💻") starting at index i
+function readUnicode(text, i) {
+    const end = readUnicodeEmoji(text, i);
+    if (end === -1) {
+        return null;
+    }
+
+    const raw = text.slice(i, end);
+    return {
+        type: 'emoji',
+        name: canonicalEmoji(raw), // "👍🏽" → "👍"
+        key: emojiKey(raw),
+        unicode: raw,
+        raw: raw,
+        start: i,
+        end: end
+    };
+}
+
+// Try to read an amount starting at index i
+// Number reading is shared with Task9 (readAmountAt): "-1,250.75 USDT",
+// "0.5 ETH", ".5 ETH", "$20", "40€", "1.2k" or a bare "1300"
+function readAmount(text, i, options) {
+    const amount = readAmountAt(text, i, options);
+    if (!amount) {
+        return null;
+    }
+    return {
+        type: 'amount',
+        value: amount.value,
+        decimal: amount.decimal, // exact value as a string, e.g. '-1250.75'
+        currency: amount.unit === '%' ? null : amount.unit,
+        raw: amount.raw,
+        start: amount.start,
+        end: amount.end
+    };
+}
+
+// Helper: Is index i the first character of a line?
+function isLineStart(text, i) {
+    if (i === 0) {
+        return true;
+    }
+    const previous = text.charCodeAt(i - 1);
+    return previous === 10 || (previous === 13 && text.charCodeAt(i) !== 10); // \n or lone \r
+}
+
+// Try to read a scope break at index i (only used with options.scope)
+function readBreak(text, i) {
+    // Line start: count the ">" quote markers and check for an empty line
+    if (isLineStart(text, i)) {
+        let depth = 0;
+        let j = i;
+        while (j < text.length) {
+            const charCode = text.charCodeAt(j);
+            if (charCode === 62) { // >
+                depth++;
+            } else if (!isBlankCode(charCode)) {
+                break;
+            }
+            j++;
+        }
+        const blank = j >= text.length || text.charCodeAt(j) === 10 || text.charCodeAt(j) === 13;
+        return { type: 'break', kind: 'line', depth: depth, blank: blank, raw: '', start: i, end: i };
+    }
+
+    // Sentence end: ".", "!" or "?" followed by a space
+    const previous = text.charCodeAt(i - 1);
+    if ((previous === 46 || previous === 33 || previous === 63) && isBlankCode(text.charCodeAt(i))) { // . ! ?
+        return { type: 'break', kind: 'sentence', raw: '', start: i, end: i };
+    }
+
+    return null;
+}
+
+// Does this token end the attribution to the last mentioned person?
+// scope 'sentence' - every sentence or line break
+// scope 'line'     - every line break
+// scope 'thread'   - a change of quote depth ("> reply" blocks) or an empty line
+// scope 'message'  - never (the default)
+// context keeps the quote depth between calls: pass the same { depth: 0 } object
+function endsScope(token, scope, context) {
+    if (token.type !== 'break' || !scope || scope === 'message') {
+        return false;
+    }
+    if (scope === 'sentence') {
+        return true;
+    }
+    if (scope === 'line') {
+        return token.kind === 'line';
+    }
+    if (scope === 'thread' && token.kind === 'line') {
+        const changed = token.depth !== context.depth || token.blank;
+        context.depth = token.depth;
+        return changed;
+    }
+    return false;
+}
+
+// Split a message into a list of tokens
+// options.currencies - only these codes count as currencies, or 'any'
+//                      (default: known currencies, see Task9 isCurrencyCode)
+// options.symbols    - symbol → code map (default: $ € £ ¥)
+// options.strict     - emit 'invalid' tokens for unclosed mentions
+// options.scope      - emit 'break' tokens for 'sentence', 'line' or 'thread' scopes
+function tokenize(text, options = {}) {
+    const withBreaks = options.scope && options.scope !== 'message';
+    const tokens = [];
+    let textStart = 0;
+    let i = 0;
+
+    // Close the current run of plain text (if any) before a token
+    function flushText(end) {
+        if (end > textStart) {
+            tokens.push({
+                type: 'text',
+                value: text.slice(textStart, end),
+                raw: text.slice(textStart, end),
+                start: textStart,
+                end: end
+            });
+        }
+    }
+
+    while (i < text.length) {
+        const scopeBreak = withBreaks ? readBreak(text, i) : null;
+        if (scopeBreak) {
+            flushText(i);
+            tokens.push(scopeBreak);
+            textStart = i;
+        }
+
+        const token = readMention(text, i) ||
+            (options.strict ? readUnclosedMention(text, i) : null) ||
+            readEmoji(text, i) ||
+            readUnicode(text, i) ||
+            readAmount(text, i, options);
+
+        if (token) {
+            flushText(i);
+            tokens.push(token);
+            i = token.end;
+            textStart = i;
+        } else {
+            i++;
+        }
+    }
+
+    flushText(text.length);
+    return tokens;
+}
+
+// Find where the unfinished part at the end of a chunk starts
+// A mention with no "/>" yet ("<@Ali") or an emoji with no closing ":"
+// (":sta") may be completed by the next chunk, so streaming readers
+// (Task11 EmojiCounter) keep it for later.
+// With scope 'line' or 'thread' the whole last line waits, so every chunk
+// starts at a line start and line breaks come out the same as in one piece.
+// Scope 'sentence' only keeps the last sentence: any break ends it, so a
+// chunk may start right at a sentence break (and a minified export that is
+// one long line doesn't pile up).
+// Returns text.length when everything can be counted now.
+function findUnfinishedStart(text, tokens, options = {}) {
+    let holdFrom = text.length;
+    
+    if (options.scope && options.scope !== 'message') {
+        let lineStart = text.length;
+        while (lineStart > 0 && !isLineStart(text, lineStart)) {
+            lineStart--;
+        }
+        // "a\r" may still become "a\r\n": keep the lone \r too
+        if (text.charCodeAt(text.length - 1) === 13) {
+            lineStart = Math.min(lineStart, text.length - 1);
+            while (lineStart > 0 && !isLineStart(text, lineStart)) {
+                lineStart--;
+            }
+        }
+        if (options.scope !== 'sentence') {
+            return lineStart;
+        }
+        
+        // Last sentence break of that line; an unfinished mention or emoji
+        // (checked below) may still start before it: "<@Mary J. Sm"
+        holdFrom = lineStart;
+        for (let t = tokens.length - 1; t >= 0 && tokens[t].start > lineStart; t--) {
+            if (tokens[t].type === 'break') {
+                holdFrom = tokens[t].start;
+                break;
+            }
+        }
+    }
+    
+    // A lone high surrogate at the end is half of a character, and a
+    // unicode emoji at the end (maybe followed by a ZWJ) may still get a
+    // skin tone or another ZWJ part: "👩" + ZWJ waiting for "💻"
+    let tail = text.length;
+    const lastCode = text.charCodeAt(tail - 1);
+    if (lastCode >= 0xd800 && lastCode <= 0xdbff) {
+        tail--;
+        holdFrom = Math.min(holdFrom, tail);
+    }
+    if (text.charCodeAt(tail - 1) === 0x200d) {
+        tail--;
+    }
+    // A text-style pictograph at the end ("©", "❤") is an emoji if VS16 comes next
+    const lastStart = tail >= 2 && text.codePointAt(tail - 2) > 0xffff ? tail - 2 : tail - 1;
+    const lastPoint = text.codePointAt(lastStart);
+    if (lastStart >= 0 && isPictographic(lastPoint) && !isEmojiPresentation(lastPoint)) {
+        holdFrom = Math.min(holdFrom, lastStart);
+    }
+    for (let t = tokens.length - 1; t >= 0 && tokens[t].end >= tail; t--) {
+        const token = tokens[t];
+        if (token.type === 'emoji' && token.unicode === token.raw && token.end === tail) {
+            holdFrom = Math.min(holdFrom, token.start);
+        }
+        // Half a flag: one regional indicator waiting for its partner
+        const flagHalf = text.codePointAt(tail - 2);
+        if (token.type === 'text' && token.start <= tail - 2 &&
+            flagHalf >= 0x1f1e6 && flagHalf <= 0x1f1ff) {
+            holdFrom = Math.min(holdFrom, tail - 2);
+        }
+    }
+    
+    for (let t = tokens.length - 1; t >= 0; t--) {
+        const token = tokens[t];
+        if (token.type !== 'text') {
+            continue;
+        }
+        
+        for (let i = token.start; i < token.end; i++) {
+            const charCode = text.charCodeAt(i);
+            
+            // "<" or "<@..." that never reached ">", "<" or a line break
+            if (charCode === 60 && (i + 1 === text.length || text.charCodeAt(i + 1) === 64)) { // <
+                let j = i + 2;
+                while (j < text.length) {
+                    const code = text.charCodeAt(j);
+                    if (code === 60 || code === 62 || code === 10 || code === 13) {
+                        break;
+                    }
+                    j++;
+                }
+                if (j >= text.length) {
+                    return Math.min(i, holdFrom); // Nothing before this can depend on later text
+                }
+            }
+            
+            // ":" followed only by shortcode characters up to the end
+            if (charCode === 58 && i < holdFrom) { // :
+                let j = i + 1;
+                while (j < text.length && isShortcodeCode(text.charCodeAt(j))) {
+                    j++;
+                }
+                if (j === text.length) {
+                    holdFrom = i;
+                }
+            }
+        }
+    }
+    
+    return holdFrom;
+}
+
+module.exports = { tokenize, mentionKey, findUnfinishedStart, endsScope };
+
+if (require.main === module) {
+    const message = 'Hey <@Alice />, you\'ve earned 1300 USDT :star:';
+    console.log(tokenize(message));
+    // Output:
+    // [
+    //   { type: 'text', value: 'Hey ', raw: 'Hey ', start: 0, end: 4 },
+    //   { type: 'mention', name: 'Alice', key: 'alice', raw: '<@Alice />', start: 4, end: 14 },
+    //   { type: 'text', value: ", you've earned ", ... start: 14, end: 30 },
+    //   { type: 'amount', value: 1300, decimal: '1300', currency: 'USDT', raw: '1300 USDT', start: 30, end: 39 },
+    //   { type: 'text', value: ' ', ... start: 39, end: 40 },
+    //   { type: 'emoji', name: 'star', key: 'star', unicode: '⭐', raw: ':star:', start: 40, end: 46 }
+    // ]
+
+    // A leading-dot fraction is the whole amount, not the "5" after the dot
+    console.log(tokenize('<@Alice /> gets .5 ETH').filter(token => token.type === 'amount'));
+    // Output:
+    // [ { type: 'amount', value: 0.5, decimal: '0.5', currency: 'ETH', raw: '.5 ETH', start: 16, end: 22 } ]
+}
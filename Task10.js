@@ -1,68 +1,182 @@
+const { tokenize, endsScope } = require('./MessageTokenizer.js');
+const { UserDirectory, mentionOwner } = require('./UserDirectory.js');
+const { createDiagnostic, formatDiagnostic } = require('./Diagnostics.js');
+const { FixedDecimal, precisionFor } = require('./FixedDecimal.js');
+
 const message = 'Hey <@Alice />, you\'ve earned 1300 USDT. <@Bob /> helped yesterday so he gets 500 USDT. <@Charlie /> receives 600 USDT';
 
-function calculateRewards(text) {
-    const result = {}; // Our 1 object to store results
-    let currentName = '';
-    let currentAmount = '';
-    let isReadingName = false;
-    let isReadingAmount = false;
+// Full report of who gets what in a message:
+// {
+//   totals:     { name: { currency: amount } },
+//   sums:       { name: { currency: FixedDecimal } } - the exact values behind totals
+//   awards:     [{ name, currency, amount, raw, start, end }] - every award in message order
+//   duplicates: [award, ...] - repeated name+currency awards (only with flagDuplicates)
+//   unresolved: [{ name, raw, start, end }] - mentions the directory doesn't know
+//   diagnostics: [{ code, severity, message, line, column, ... }] - only with strict
+// }
+// Repeated awards are added up exactly with FixedDecimal at the currency's
+// precision (0.1 + 0.2 ETH is 0.3, not 0.30000000000000004), then given as numbers.
+// totals and its rows have no prototype: names come from the chat text, and
+// "<@__proto__ />" or "<@constructor />" must not write onto Object.prototype.
+//
+// options.currencies     - only count these currency codes, e.g. ['USDT', 'ETH'], or 'any'
+//                          uppercase code (default: known ones like USDT, ETH, USD - see Task9)
+// options.symbols        - currency symbol → code map, e.g. { '$': 'USD' } (default: $ € £ ¥)
+// options.aggregate      - 'sum' adds up repeated awards (default), 'last' keeps only the last one
+// options.precision      - decimal places per currency, e.g. { POINTS: 0 } (defaults in FixedDecimal.js)
+// options.flagDuplicates - mark repeated awards with duplicate: true and list them
+// options.directory      - a UserDirectory; results are keyed by user id and
+//                          amounts after an unknown mention go to nobody
+// options.strict         - report what couldn't be understood (see Diagnostics.js):
+//                          UNCLOSED_MENTION, UNRESOLVED_MENTION, AMOUNT_WITHOUT_MENTION,
+//                          AMOUNT_WITHOUT_CURRENCY. Amounts after an unclosed mention go to nobody.
+// options.scope          - where a mention stops getting amounts: 'message' (default),
+//                          'sentence', 'line' or 'thread' (quoted "> " reply blocks)
+function calculateRewardReport(text, options = {}) {
+    const aggregate = options.aggregate || 'sum';
+    const totals = Object.create(null);
+    const sums = Object.create(null); // name → currency → FixedDecimal behind totals
+    const awards = [];
+    const duplicates = [];
+    const unresolved = [];
+    const diagnostics = [];
+    const scopeContext = { depth: 0 }; // Quote depth for the 'thread' scope
     let lastName = '';
     
-    // Our 1 for loop - going through each character
-    for (let i = 0; i < text.length; i++) {
-        const charCode = text.charCodeAt(i);
-        const char = text[i];
-        
-        // Looking for start of name: "<@"
-        if (charCode === 60 && text.charCodeAt(i + 1) === 64) { // < then @
-            isReadingName = true;
-            currentName = '';
-            i++; // Skip the @ character
-            continue;
+    // Strict mode only: note one problem at the token's position
+    function report(token, code, severity, message) {
+        if (options.strict) {
+            diagnostics.push(createDiagnostic(text, code, severity, message, token.start, token.end));
         }
+    }
+    
+    const tokens = tokenize(text, options);
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
         
-        // If we're reading a name
-        if (isReadingName) {
-            // Stop reading name when we find " /"
-            if (charCode === 32 && text.charCodeAt(i + 1) === 47) { // space then /
-                isReadingName = false;
-                lastName = currentName.toLowerCase();
-                i++; // Skip the / character
-                continue;
+        // A new sentence, line or thread: amounts no longer go to the last mention
+        if (endsScope(token, options.scope, scopeContext)) {
+            lastName = '';
+        }
+        // Remember who was mentioned last: "<@Name />" or "<@U123ABC>"
+        else if (token.type === 'mention') {
+            lastName = mentionOwner(token, options.directory);
+            if (!lastName) {
+                unresolved.push({ name: token.name, raw: token.raw, start: token.start, end: token.end });
+                report(token, 'UNRESOLVED_MENTION', 'error', `Nobody in the directory matches "${token.raw}"`);
+            }
+        }
+        // "<@Bob" with no "/>": don't let the previous person take Bob's amount
+        else if (token.type === 'invalid') {
+            lastName = '';
+            report(token, token.code, 'error', `Mention "${token.raw}" is missing its closing "/>"`);
+        }
+        else if (token.type === 'amount' && !token.currency) {
+            report(token, 'AMOUNT_WITHOUT_CURRENCY', 'warning', `"${token.raw}" has no currency, so it was ignored`);
+        }
+        else if (token.type === 'amount' && !lastName) {
+            report(token, 'AMOUNT_WITHOUT_MENTION', 'error', `"${token.raw}" does not follow a mention, so nobody gets it`);
+        }
+        // An amount with a currency goes to the last mentioned person
+        // (one person can get several currencies: "1300 USDT and 0.5 ETH")
+        else if (token.type === 'amount') {
+            if (!totals[lastName]) {
+                totals[lastName] = Object.create(null);
+                sums[lastName] = Object.create(null);
             }
             
-            // Add character to current name
-            if (charCode !== 32) { // Not a space
-                // Convert to lowercase using fromCharCode
-                currentName += String.fromCharCode(charCode).toLowerCase();
+            const award = {
+                name: lastName,
+                currency: token.currency,
+                amount: token.value,
+                raw: token.raw,
+                start: token.start,
+                end: token.end
+            };
+            const isRepeat = sums[lastName][token.currency] !== undefined;
+            const amount = FixedDecimal.parse(token.decimal, precisionFor(token.currency, options));
+            
+            if (isRepeat && aggregate === 'sum') {
+                sums[lastName][token.currency] = sums[lastName][token.currency].add(amount);
+            } else {
+                sums[lastName][token.currency] = amount;
             }
-        }
-        
-        // Looking for numbers (money amounts)
-        if (charCode >= 48 && charCode <= 57) { // 0-9
-            currentAmount += char;
-            isReadingAmount = true;
-        } 
-        // Stop reading amount when we find " USDT"
-        else if (isReadingAmount && charCode === 32 && text.charCodeAt(i + 1) === 85) { // space then U
-            isReadingAmount = false;
+            totals[lastName][token.currency] = sums[lastName][token.currency].toNumber();
             
-            // Save the name and amount to our result object
-            if (lastName && currentAmount) {
-                result[lastName] = parseInt(currentAmount);
-                currentAmount = '';
-                lastName = '';
+            if (isRepeat && options.flagDuplicates) {
+                award.duplicate = true;
+                duplicates.push(award);
             }
-        }
-        // If we're reading amount but hit non-digit, reset
-        else if (isReadingAmount && (charCode < 48 || charCode > 57)) {
-            currentAmount = '';
-            isReadingAmount = false;
+            awards.push(award);
         }
     }
     
+    const result = { totals, sums, awards, duplicates, unresolved };
+    if (options.strict) {
+        result.diagnostics = diagnostics;
+    }
     return result;
 }
 
-console.log(calculateRewards(message));
-// Output: { alice: 1300, bob: 500, charlie: 600 }
\ No newline at end of file
+// Same options as calculateRewardReport, returns only the totals
+// (or { totals, diagnostics } in strict mode)
+function calculateRewards(text, options = {}) {
+    const report = calculateRewardReport(text, options);
+    return options.strict ? { totals: report.totals, diagnostics: report.diagnostics } : report.totals;
+}
+
+module.exports = { calculateRewards, calculateRewardReport };
+
+if (require.main === module) {
+    console.log(calculateRewards(message));
+    // Output: { alice: { USDT: 1300 }, bob: { USDT: 500 }, charlie: { USDT: 600 } }
+
+    const multiCurrencyMessage = '<@Alice /> gets 1,300 USDT and 0.5 ETH, <@Bob /> gets $20 and 1,300.50 USDC';
+    console.log(calculateRewards(multiCurrencyMessage));
+    // Output: { alice: { USDT: 1300, ETH: 0.5 }, bob: { USD: 20, USDC: 1300.5 } }
+
+    console.log(calculateRewards(multiCurrencyMessage, { currencies: ['ETH'], symbols: {} }));
+    // Output: { alice: { ETH: 0.5 } }
+
+    const repeatedMessage = '<@Alice /> 100 USDT for the docs, <@Bob /> 50 USDT, and <@Alice /> 25 USDT for reviews';
+    console.log(calculateRewards(repeatedMessage));
+    // Output: { alice: { USDT: 125 }, bob: { USDT: 50 } }
+
+    console.log(calculateRewards(repeatedMessage, { aggregate: 'last' }));
+    // Output: { alice: { USDT: 25 }, bob: { USDT: 50 } }
+
+    console.log(calculateRewards('<@Alice /> 0.1 ETH and 0.2 ETH'));
+    // Output: { alice: { ETH: 0.3 } }
+
+    console.log(calculateRewardReport(repeatedMessage, { flagDuplicates: true }).duplicates);
+    // Output: [ { name: 'alice', currency: 'USDT', amount: 25, raw: '25 USDT', start: 67, end: 74, duplicate: true } ]
+    
+    const directory = new UserDirectory([
+        { id: 'U123ABC', name: 'Alice', aliases: ['Ali'] },
+        { id: 'U456DEF', name: 'Bob' }
+    ]);
+    const platformMessage = '<@U123ABC> 100 USDT, <@ali /> 20 USDT, <@Mallory /> 999 USDT, <@BOB /> 5 USDT';
+    const report = calculateRewardReport(platformMessage, { directory });
+    console.log(report.totals, report.unresolved);
+    // Output:
+    // { U123ABC: { USDT: 120 }, U456DEF: { USDT: 5 } }
+    // [ { name: 'Mallory', raw: '<@Mallory />', start: 39, end: 51 } ]
+    
+    const sloppyMessage = '<@Alice /> gets 100 USDT\nand <@Bob gets 50 USDT, plus 10 for <@Carol />';
+    const strict = calculateRewards(sloppyMessage, { strict: true });
+    console.log(strict.totals);
+    // Output: { alice: { USDT: 100 } }
+    strict.diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+    // Output:
+    // 2:5 error UNCLOSED_MENTION Mention "<@Bob" is missing its closing "/>"
+    // 2:16 error AMOUNT_WITHOUT_MENTION "50 USDT" does not follow a mention, so nobody gets it
+    // 2:30 warning AMOUNT_WITHOUT_CURRENCY "10" has no currency, so it was ignored
+    
+    const threadMessage = 'Great week! <@Alice /> closed 12 tickets.\n> <@Bob /> fixed the build 50 USDT\n> and the docs 10 USDT\nBonus for everyone else 5 USDT';
+    console.log(calculateRewards(threadMessage));
+    // Output (the bonus line goes to Bob too): { bob: { USDT: 65 } }
+    console.log(calculateRewards(threadMessage, { scope: 'line' }));
+    // Output: { bob: { USDT: 50 } }
+    console.log(calculateRewards(threadMessage, { scope: 'thread' }));
+    // Output: { bob: { USDT: 60 } }
+}
@@ -1,77 +1,252 @@
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { tokenize, findUnfinishedStart, endsScope } = require('./MessageTokenizer.js');
+const { emojiKey } = require('./Emoji.js');
+const { UserDirectory, mentionOwner } = require('./UserDirectory.js');
+
 const message = '<@Alice />:star: <@Bob/><@Clara /> :heart: earned:star::star:'
 
-function calculateEmojiCount(text, emoji) {
-    const result = {}; // Our 1 object to store results
-    let currentName = '';
-    let isReadingName = false;
-    let lastName = '';
-    let currentEmoji = '';
-    let isReadingEmoji = false;
-    
-    // Add the emoji colon format
-    const targetEmoji = `:${emoji}:`;
-    
-    // Our 1 for loop - going through each character
-    for (let i = 0; i < text.length; i++) {
-        const charCode = text.charCodeAt(i);
-        const char = text[i];
+// Helper: Build the counting state for an emoji request
+// emoji can be one name or unicode emoji ('star', '⭐'), a list of them
+// (['star', '❤️']) or 'all'. One emoji gives { name: count },
+// a list or 'all' gives a matrix { name: { emoji: count } }.
+// options.directory (a UserDirectory) keys results by user id.
+// options.scope ('sentence', 'line', 'thread') limits how far a mention reaches.
+// Names and emoji keys come from the chat text, so every object keyed by them
+// has no prototype: "<@__proto__ /> :star:" must not touch Object.prototype.
+function createCountState(emoji, options = {}) {
+    const single = !Array.isArray(emoji) && emoji !== 'all';
+    let keys = null; // null means every emoji counts
+    if (emoji !== 'all') {
+        keys = Object.create(null);
+        const list = single ? [emoji] : emoji;
+        for (let i = 0; i < list.length; i++) {
+            keys[emojiKey(list[i])] = true;
+        }
+    }
+    return {
+        result: Object.create(null),
+        lastName: '',
+        single: single,
+        keys: keys,
+        directory: options.directory,
+        scope: options.scope,
+        scopeContext: { depth: 0 }, // Quote depth for the 'thread' scope
+        unresolved: [] // Mentions the directory doesn't know
+    };
+}
+
+// Helper: Apply one token to the counting state
+// Returns { name, key } for the person and emoji that got counted, or null
+function countToken(state, token) {
+    // A new sentence, line or thread: emojis no longer go to the last mention
+    if (endsScope(token, state.scope, state.scopeContext)) {
+        state.lastName = '';
+    }
+    // Remember who was mentioned last: "<@Name />", "<@Name/>" or "<@U123ABC>"
+    if (token.type === 'mention') {
+        state.lastName = mentionOwner(token, state.directory);
         
-        // Looking for start of name: "<@"
-        if (charCode === 60 && text.charCodeAt(i + 1) === 64) { // < then @
-            isReadingName = true;
-            currentName = '';
-            i++; // Skip the @ character
-            continue;
+        // Emojis after an unknown mention go to nobody
+        if (!state.lastName) {
+            state.unresolved.push({ name: token.name, raw: token.raw, start: token.start, end: token.end });
+        }
+        // Initialize this person in results if not exists
+        else if (state.result[state.lastName] === undefined) {
+            state.result[state.lastName] = state.single ? 0 : Object.create(null);
+        }
+    }
+    // If this is one of our target emojis, count it for the last person
+    else if (token.type === 'emoji' && state.lastName && (!state.keys || state.keys[token.key])) {
+        const row = state.result[state.lastName];
+        if (state.single) {
+            state.result[state.lastName]++;
+        } else {
+            row[token.key] = (row[token.key] || 0) + 1;
         }
+        return { name: state.lastName, key: token.key };
+    }
+    return null;
+}
+
+// Counts plus the mentions that could not be resolved:
+// { counts, unresolved: [{ name, raw, start, end }] }
+// options.directory - a UserDirectory; counts are keyed by user id
+// options.scope     - where a mention stops getting emojis:
+//                     'message' (default), 'sentence', 'line' or 'thread' (quoted "> " blocks)
+function calculateEmojiReport(text, emoji, options = {}) {
+    const state = createCountState(emoji, options);
+    
+    const tokens = tokenize(text, { scope: options.scope });
+    for (let i = 0; i < tokens.length; i++) {
+        countToken(state, tokens[i]);
+    }
+    
+    return { counts: state.result, unresolved: state.unresolved };
+}
+
+// emoji: 'star' / '⭐' → { name: count }
+//        ['star', '❤️'] or 'all' → { name: { emoji: count } }
+// ":star:" and "⭐" count as the same emoji, and so do "👍" and "👍🏽"
+function calculateEmojiCount(text, emoji, options = {}) {
+    return calculateEmojiReport(text, emoji, options).counts;
+}
+
+// ============================================
+// STREAMING VARIANT
+// ============================================
+
+// Helper: Add one counted emoji (countToken's result, or null) to a delta
+function addToDelta(state, delta, counted) {
+    if (counted && state.single) {
+        delta[counted.name] = (delta[counted.name] || 0) + 1;
+    } else if (counted) {
+        const row = delta[counted.name] || (delta[counted.name] = Object.create(null));
+        row[counted.key] = (row[counted.key] || 0) + 1;
+    }
+}
+
+// Counts an emoji over text that arrives in pieces
+// emoji and options work like in calculateEmojiCount (one emoji, a list or 'all')
+// counter.write(chunk) → { delta: { name: newCount }, totals: { name: count } }
+// counter.end(delta)   → final totals (delta, if given, also gets what the
+//                        pending text adds)
+class EmojiCounter {
+    constructor(emoji, options = {}) {
+        this.state = createCountState(emoji, options);
+        this.tokenizeOptions = { scope: options.scope };
+        this.pending = ''; // Unfinished mention/emoji (or line, with a scope) carried to the next chunk
+    }
+    
+    // Count everything in pending + chunk that is already complete
+    write(chunk) {
+        const text = this.pending + chunk;
+        const tokens = tokenize(text, this.tokenizeOptions);
+        const safeEnd = findUnfinishedStart(text, tokens, this.tokenizeOptions);
+        const delta = Object.create(null);
         
-        // If we're reading a name
-        if (isReadingName) {
-            // Stop reading name when we find "/>"
-            if (charCode === 47 && text.charCodeAt(i + 1) === 62) { // / then >
-                isReadingName = false;
-                lastName = currentName.toLowerCase();
-                
-                // Initialize this person in results if not exists
-                if (!result[lastName]) {
-                    result[lastName] = 0;
-                }
-                i++; // Skip the > character
-                continue;
-            }
-            
-            // Add character to current name (convert to lowercase)
-            if (charCode !== 32) { // Not a space
-                currentName += String.fromCharCode(charCode).toLowerCase();
+        for (let i = 0; i < tokens.length; i++) {
+            // Tokens that run into the unfinished part wait for the next chunk
+            // (a break right at safeEnd comes again at the start of the next one)
+            if (tokens[i].end > safeEnd || (tokens[i].start === safeEnd && safeEnd < text.length)) {
+                break;
             }
+            addToDelta(this.state, delta, countToken(this.state, tokens[i]));
         }
         
-        // Looking for start of emoji: ":"
-        if (charCode === 58 && !isReadingName) { // : and not reading a name
-            isReadingEmoji = true;
-            currentEmoji = ':';
-            continue;
-        }
+        // Only plain text can run across safeEnd, so nothing is lost here
+        this.pending = text.slice(safeEnd);
         
-        // If we're reading an emoji
-        if (isReadingEmoji) {
-            currentEmoji += char;
-            
-            // Check if emoji ended with ":"
-            if (charCode === 58) { // :
-                isReadingEmoji = false;
-                
-                // If this is our target emoji, count it for the last person
-                if (currentEmoji === targetEmoji && lastName) {
-                    result[lastName]++;
-                }
-                
-                currentEmoji = '';
-            }
+        return { delta: delta, totals: this.totals() };
+    }
+    
+    // No more chunks: whatever is still pending is counted as it is
+    end(delta = Object.create(null)) {
+        const tokens = tokenize(this.pending, this.tokenizeOptions);
+        for (let i = 0; i < tokens.length; i++) {
+            addToDelta(this.state, delta, countToken(this.state, tokens[i]));
         }
+        this.pending = '';
+        return this.totals();
     }
     
-    return result;
+    // Copy of the counts so far (rows are copied too in matrix mode)
+    totals() {
+        const copy = Object.create(null);
+        for (const name of Object.keys(this.state.result)) {
+            const value = this.state.result[name];
+            copy[name] = this.state.single ? value : Object.assign(Object.create(null), value);
+        }
+        return copy;
+    }
 }
 
-console.log(calculateEmojiCount(message, 'star'));
-// Output: { alice: 1, bob: 2, clara: 2 }
\ No newline at end of file
+// Transform stream: text/Buffer chunks in, { delta, totals } objects out
+// A push happens only for chunks that changed a count (the end of the input
+// too, e.g. a trailing ":star:"), plus one final { delta: {}, totals, done: true }.
+function createEmojiCountStream(emoji, options = {}) {
+    const counter = new EmojiCounter(emoji, options);
+    const decoder = new StringDecoder('utf8'); // Keeps multi-byte characters whole
+    
+    return new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, callback) {
+            const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            const update = counter.write(text);
+            if (Object.keys(update.delta).length > 0) {
+                this.push(update);
+            }
+            callback();
+        },
+        flush(callback) {
+            const delta = counter.write(decoder.end()).delta;
+            const totals = counter.end(delta);
+            if (Object.keys(delta).length > 0) {
+                this.push({ delta: delta, totals: totals });
+            }
+            this.push({ delta: {}, totals: totals, done: true });
+            callback();
+        }
+    });
+}
+
+// Counts an emoji in a whole Readable (e.g. fs.createReadStream(file))
+// onUpdate, if given, receives every incremental { delta, totals }
+// A read error of the source (e.g. ENOENT) rejects the returned promise
+async function countEmojiInStream(readable, emoji, onUpdate, options = {}) {
+    // pipeline destroys the count stream with the source's error, which ends
+    // the loop below with it; the callback has nothing left to do
+    const stream = pipeline(readable, createEmojiCountStream(emoji, options), () => {});
+    let totals = {};
+    for await (const update of stream) {
+        if (onUpdate && !update.done) {
+            onUpdate(update);
+        }
+        totals = update.totals;
+    }
+    return totals;
+}
+
+module.exports = { calculateEmojiCount, calculateEmojiReport, EmojiCounter, createEmojiCountStream, countEmojiInStream };
+
+if (require.main === module) {
+    console.log(calculateEmojiCount(message, 'star'));
+    // Output: { alice: 1, bob: 0, clara: 2 }
+    
+    // Same message cut at awkward places: inside "<@Clara />" and ":star:"
+    const { Readable } = require('stream');
+    const chunks = ['<@Alice />:st', 'ar: <@Bob/><@Cla', 'ra /> :heart: earned:star::s', 'tar:'];
+    countEmojiInStream(Readable.from(chunks), 'star', update => console.log('update:', update.delta))
+        .then(totals => console.log('stream totals:', totals))
+        // A "⭐" at the very end waits for a skin tone that never comes,
+        // and still gets its own update when the input ends
+        .then(() => countEmojiInStream(Readable.from(['<@Alice /> :star: ⭐']), 'star',
+            update => console.log('update:', update.delta)))
+        .then(totals => console.log('stream totals:', totals));
+    // Output:
+    // update: { alice: 1 }
+    // update: { clara: 1 }
+    // update: { clara: 1 }
+    // stream totals: { alice: 1, bob: 0, clara: 2 }
+    // update: { alice: 1 }
+    // update: { alice: 1 }
+    // stream totals: { alice: 2 }
+    
+    // Shortcodes and unicode emoji together, skin tones and ZWJ sequences included
+    const unicodeMessage = '<@Alice /> ⭐ :star: ❤️ <@Bob /> 👍🏽 :thumbsup: 👩‍💻 :heart:';
+    console.log(calculateEmojiCount(unicodeMessage, ['star', '❤️']));
+    // Output: { alice: { star: 2, heart: 1 }, bob: { heart: 1 } }
+    console.log(calculateEmojiCount(unicodeMessage, 'all'));
+    // Output: { alice: { star: 2, heart: 1 }, bob: { '+1': 2, woman_technologist: 1, heart: 1 } }
+    // ©, ®, ™ and ‼ are text; only with VS16 ("©️") are they emoji
+    console.log(calculateEmojiCount('<@Alice /> Copyright © 2024 ™, and a ©️', 'all'));
+    // Output: { alice: { '©': 1 } }
+    
+    const directory = new UserDirectory([{ id: 'U123ABC', name: 'Alice', aliases: ['Ali'] }]);
+    console.log(calculateEmojiReport('<@U123ABC> :star: <@ali /> ⭐ <@Mallory /> :star:', 'star', { directory }));
+    // Output: { counts: { U123ABC: 2 }, unresolved: [ { name: 'Mallory', raw: '<@Mallory />', start: 29, end: 41 } ] }
+    
+    const paragraphMessage = 'Thanks <@Alice /> :star:\n\nNew topic: release is out :star:';
+    console.log(calculateEmojiCount(paragraphMessage, 'star'), calculateEmojiCount(paragraphMessage, 'star', { scope: 'line' }));
+    // Output: { alice: 2 } { alice: 1 }
+}
@@ -1,53 +1,185 @@
+const { tokenize } = require('./MessageTokenizer.js');
+const { createDiagnostic, formatDiagnostic } = require('./Diagnostics.js');
+const { FixedDecimal, precisionFor } = require('./FixedDecimal.js');
+
 const message = 'My account holds 15000 USDT. I spent 1000 USDT on travel and 2000 USDT on rent';
 
-function computeFunds(text) {
-    let balance = 0;
-    let currentNumber = '';
-    let isReadingNumber = false;
-    let isFirstAmount = true; // Track if it's the first amount (income)
+// Verbs that tell us whether an amount comes in (credit) or goes out (debit)
+const DEFAULT_VERBS = {
+    holds: 'credit', has: 'credit', had: 'credit',
+    received: 'credit', receives: 'credit', got: 'credit',
+    earned: 'credit', deposited: 'credit', added: 'credit',
+    spent: 'debit', spends: 'debit', paid: 'debit', pays: 'debit',
+    sent: 'debit', sends: 'debit', withdrew: 'debit', lost: 'debit'
+};
+
+// Helper: Collect the lowercase words of a piece of text
+// e.g. ". I spent " → ['i', 'spent']
+function wordsOf(text) {
+    const words = [];
+    let word = '';
+    for (let i = 0; i <= text.length; i++) {
+        const charCode = i < text.length ? text.charCodeAt(i) : 32;
+        // Letters and the apostrophe of "didn't" belong to a word
+        if ((charCode >= 65 && charCode <= 90) || (charCode >= 97 && charCode <= 122) || charCode === 39) {
+            word += text[i].toLowerCase();
+        } else if (word.length > 0) {
+            words.push(word);
+            word = '';
+        }
+    }
+    return words;
+}
+
+// Builds a ledger from free text:
+// {
+//   transactions: [{ type, verb, amount, currency, balance, raw, start, end }],
+//   balances:     { currency: balance }
+//
+// Amounts and balances are exact decimal strings with every decimal place of
+// the currency ('12000.000000' for USDT), computed with BigInt-backed
+// FixedDecimal so nothing is lost to float rounding.
+//   diagnostics:  [{ code, severity, message, line, column, ... }] - only with strict
+// }
+//
+// Each amount is a credit or debit depending on the last verb before it
+// ("spent 1000 USDT on travel and 2000 USDT on rent" → both are debits).
+// Amounts with no verb before them are listed with type 'unknown' and
+// do not change the balance. The verb alone gives the direction: the sign
+// of "spent -20 USDT" is dropped, so it still takes 20 off the balance.
+//
+// options.verbs            - extra or replacement verbs, e.g. { donated: 'debit', has: null }
+// options.precision        - decimal places per currency, e.g. { USDT: 6, POINTS: 0 }
+//                            (defaults in FixedDecimal.js, e.g. USDT 6, ETH 18, USD 2)
+// options.defaultPrecision - decimal places for currencies not listed anywhere (default 8)
+// options.strict           - report what couldn't be understood (see Diagnostics.js):
+//                            AMOUNT_WITHOUT_CURRENCY, UNKNOWN_INTENT, PRECISION_EXCEEDED,
+//                            SIGNED_AMOUNT
+function computeFunds(text, options = {}) {
+    const verbs = { ...DEFAULT_VERBS, ...options.verbs };
+    const transactions = [];
+    const balances = {};
+    const diagnostics = [];
+    let lastVerb = '';
     
-    // Our 1 for loop
-    for (let i = 0; i < text.length; i++) {
-        const charCode = text.charCodeAt(i);
-        const char = text[i];
+    // Our 1 for loop - going through each token of the message
+    const tokens = tokenize(text, options);
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        
+        // Look for credit/debit verbs in the text between amounts
+        if (token.type === 'text') {
+            const words = wordsOf(token.value);
+            for (let j = 0; j < words.length; j++) {
+                const intent = verbs[words[j]];
+                if (intent === 'credit' || intent === 'debit') {
+                    lastVerb = words[j];
+                }
+            }
+            continue;
+        }
+        
+        if (token.type !== 'amount') {
+            continue;
+        }
         
-        // Check if character is a digit (0-9)
-        if (charCode >= 48 && charCode <= 57) {
-            currentNumber += char;
-            isReadingNumber = true;
-        } 
-        // Check if we found " USDT" after a number
-        else if (isReadingNumber && charCode === 32 && text.charCodeAt(i + 1) === 85) {
-            // We found a complete number before USDT
-            isReadingNumber = false;
-            
-            // Convert string to number without parseInt/Number/etc.
-            let numberValue = 0;
-            for (let j = 0; j < currentNumber.length; j++) {
-                const digit = currentNumber.charCodeAt(j) - 48; // Convert '0'->0, '1'->1, etc.
-                numberValue = numberValue * 10 + digit;
+        // Only amounts with a currency count
+        if (!token.currency) {
+            if (options.strict) {
+                diagnostics.push(createDiagnostic(text, 'AMOUNT_WITHOUT_CURRENCY', 'warning',
+                    `"${token.raw}" has no currency, so it was ignored`, token.start, token.end));
             }
-            
-            // First amount is income, others are expenses
-            if (isFirstAmount) {
-                balance += numberValue;
-                isFirstAmount = false;
-            } else {
-                balance -= numberValue;
+            continue;
+        }
+        
+        const scale = precisionFor(token.currency, options);
+        if (balances[token.currency] === undefined) {
+            balances[token.currency] = FixedDecimal.zero(scale);
+        }
+        
+        // "0.0000005 USDT" is smaller than 1 unit: it gets rounded
+        if (options.strict && FixedDecimal.hasMoreDigits(token.decimal, scale)) {
+            diagnostics.push(createDiagnostic(text, 'PRECISION_EXCEEDED', 'warning',
+                `"${token.raw}" has more than ${scale} decimal places, so it was rounded`, token.start, token.end));
+        }
+        let amount = FixedDecimal.parse(token.decimal, scale);
+        
+        const type = lastVerb ? verbs[lastVerb] : 'unknown';
+        if (type === 'unknown' && options.strict) {
+            diagnostics.push(createDiagnostic(text, 'UNKNOWN_INTENT', 'error',
+                `No verb before "${token.raw}" says whether it came in or went out`, token.start, token.end));
+        }
+        // A sign after a verb would flip it ("spent -20 USDT" must not add 20)
+        if (type !== 'unknown' && token.decimal[0] === '-') {
+            amount = amount.negate();
+            if (options.strict) {
+                diagnostics.push(createDiagnostic(text, 'SIGNED_AMOUNT', 'warning',
+                    `"${token.raw}" after "${lastVerb}" has a minus sign, it was counted as ${type} without it`, token.start, token.end));
             }
-            
-            currentNumber = '';
-            i += 4; // Skip "USDT" (we're at space before U, skip U,S,D,T)
         }
-        // If we're reading a number but hit non-digit (not USDT), reset
-        else if (isReadingNumber) {
-            currentNumber = '';
-            isReadingNumber = false;
+        if (type === 'credit') {
+            balances[token.currency] = balances[token.currency].add(amount);
+        } else if (type === 'debit') {
+            balances[token.currency] = balances[token.currency].subtract(amount);
         }
+        
+        transactions.push({
+            type: type,
+            verb: lastVerb || null,
+            amount: amount.toString(),
+            currency: token.currency,
+            balance: balances[token.currency].toString(), // running balance after this transaction
+            raw: token.raw,
+            start: token.start,
+            end: token.end
+        });
+    }
+    
+    const exactBalances = {};
+    for (const currency of Object.keys(balances)) {
+        exactBalances[currency] = balances[currency].toString();
     }
     
-    return balance;
+    const result = { transactions, balances: exactBalances };
+    if (options.strict) {
+        result.diagnostics = diagnostics;
+    }
+    return result;
 }
 
-console.log(computeFunds(message));
-// Output: 12000
\ No newline at end of file
+module.exports = { computeFunds, DEFAULT_VERBS };
+
+if (require.main === module) {
+    console.log(computeFunds(message).balances);
+    // Output: { USDT: '12000.000000' }
+
+    const treasuryNote = 'Wallet received 500 USDT from Alice, paid 120 USDT for hosting, then donated 80 USDT and sent 0.5 ETH';
+    console.log(computeFunds(treasuryNote, { verbs: { donated: 'debit' } }).transactions);
+    // Output:
+    // [
+    //   { type: 'credit', verb: 'received', amount: '500.000000', currency: 'USDT', balance: '500.000000', ... },
+    //   { type: 'debit', verb: 'paid', amount: '120.000000', currency: 'USDT', balance: '380.000000', ... },
+    //   { type: 'debit', verb: 'donated', amount: '80.000000', currency: 'USDT', balance: '300.000000', ... },
+    //   { type: 'debit', verb: 'sent', amount: '0.500000000000000000', currency: 'ETH', balance: '-0.500000000000000000', ... }
+    // ]
+
+    const unclearNote = '300 USDT from the sale. Then paid 40 for coffee and 25 USDT for snacks';
+    computeFunds(unclearNote, { strict: true }).diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+    // Output:
+    // 1:1 error UNKNOWN_INTENT No verb before "300 USDT" says whether it came in or went out
+    // 1:35 warning AMOUNT_WITHOUT_CURRENCY "40" has no currency, so it was ignored
+
+    // Cents and token decimals stay exact: 0.1 + 0.2 is 0.3, not 0.30000000000000004
+    const centsNote = 'Received 0.1 USDT, received 0.2 USDT, paid 0.000001 USDT and earned 5 POINTS';
+    console.log(computeFunds(centsNote, { precision: { POINTS: 0 } }).balances);
+    // Output: { USDT: '0.299999', POINTS: '5' }
+
+    // The verb gives the direction, a minus sign after it doesn't turn it around
+    const signedNote = 'Received 100 USDT, spent -20 USDT';
+    const signed = computeFunds(signedNote, { strict: true });
+    console.log(signed.balances);
+    signed.diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+    // Output:
+    // { USDT: '80.000000' }
+    // 1:26 warning SIGNED_AMOUNT "-20 USDT" after "spent" has a minus sign, it was counted as debit without it
+}
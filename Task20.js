@@ -37,8 +37,10 @@ function customFlat(arr, depth = 1) {
 }
 
 // Example:
-console.log("customFlat:", customFlat([1, [2, [3, 4]], 5], 1));
-// → [1, 2, [3, 4], 5]
+if (require.main === module) {
+    console.log("customFlat:", customFlat([1, [2, [3, 4]], 5], 1));
+    // → [1, 2, [3, 4], 5]
+}
 
 
 // ======================================================
@@ -50,34 +52,708 @@ console.log("customFlat:", customFlat([1, [2, [3, 4]], 5], 1));
 // Handles objects, arrays, strings, numbers, booleans, and null
 
 // ---------- JSON.stringify ----------
-function customStringify(value) {
-    if (value === null) return "null";
-    if (typeof value === "number" || typeof value === "boolean") return String(value);
-    if (typeof value === "string") return `"${value}"`;
-    if (Array.isArray(value)) {
-        const parts = value.map(v => customStringify(v));
-        return `[${parts.join(",")}]`;
+// Same output as JSON.stringify, byte for byte:
+// - toJSON() is used when present (that's how Dates become ISO strings)
+// - replacer can be a function (key, value) or an array of keys to keep
+// - space indents with up to 10 spaces, or up to 10 characters of a string
+// - undefined, functions and symbols are left out of objects, null in arrays
+// - NaN and Infinity become null, a BigInt or a cycle throws a TypeError
+// - control characters and lone surrogates are escaped as \uXXXX
+// e.g. customStringify({ a: [1, undefined], b: () => 1 }) → '{"a":[1,null]}'
+// e.g. customStringify({ a: 1 }, null, 2) → '{\n  "a": 1\n}'
+// options.tagged keeps Map, Set, Date, BigInt, cycles... (see Tagged JSON below)
+
+function customStringify(value, replacer, space, options = {}) {
+    const state = createStringifyState(replacer, space);
+    return serializeProperty(state, "", { "": options.tagged ? encodeTagged(value) : value });
+}
+
+// Settings shared by the whole serialization (also used by JsonStream.js)
+function createStringifyState(replacer, space) {
+    const state = { replacerFn: null, propertyList: null, gap: "", indent: "", stack: [] };
+
+    if (typeof replacer === "function") {
+        state.replacerFn = replacer;
+    } else if (Array.isArray(replacer)) {
+        // Only these keys are written (numbers count as their string form)
+        const keys = [];
+        for (let i = 0; i < replacer.length; i++) {
+            const item = replacer[i];
+            let key;
+            if (typeof item === "string") key = item;
+            else if (typeof item === "number") key = String(item);
+            else if (typeof item === "object" && item !== null && (hasSlot(String, item) || hasSlot(Number, item))) key = String(item);
+            if (key !== undefined && !keys.includes(key)) keys.push(key);
+        }
+        state.propertyList = keys;
     }
+
+    // new Number(2) / new String('--') work like 2 / '--'
+    if (typeof space === "object" && space !== null) {
+        if (hasSlot(Number, space)) space = Number(space);
+        else if (hasSlot(String, space)) space = String(space);
+    }
+    if (typeof space === "number") {
+        const count = Math.min(10, Math.trunc(space) || 0);
+        state.gap = count >= 1 ? " ".repeat(count) : "";
+    } else if (typeof space === "string") {
+        state.gap = space.slice(0, 10);
+    }
+
+    return state;
+}
+
+// Does value carry the internal data of String, Number, Boolean or BigInt?
+// (valueOf of the type only works on real instances, whatever the prototype says)
+function hasSlot(type, value) {
+    try {
+        type.prototype.valueOf.call(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Cheap check before hasSlot: plain objects and arrays (nearly everything)
+// can't be boxed primitives, and a failing valueOf throws, which is slow
+function mightBeBoxed(value) {
+    const tag = Object.prototype.toString.call(value);
+    return (tag !== "[object Object]" && tag !== "[object Array]") || Symbol.toStringTag in value;
+}
+
+// holder[key] the way it will be written: after toJSON, the replacer
+// function and unwrapping boxed primitives
+function prepareValue(state, key, holder) {
+    let value = holder[key];
+
+    if ((typeof value === "object" && value !== null) || typeof value === "bigint") {
+        const toJSON = value.toJSON;
+        if (typeof toJSON === "function") value = toJSON.call(value, key);
+    }
+    if (state.replacerFn) value = state.replacerFn.call(holder, key, value);
+
+    // Unwrap new Number / new String / new Boolean / Object(1n)
+    if (typeof value === "object" && value !== null && mightBeBoxed(value)) {
+        if (hasSlot(Number, value)) value = Number(value);
+        else if (hasSlot(String, value)) value = String(value);
+        else if (hasSlot(Boolean, value)) value = Boolean.prototype.valueOf.call(value);
+        else if (hasSlot(BigInt, value)) value = BigInt.prototype.valueOf.call(value);
+    }
+    return value;
+}
+
+// Text for holder[key], or undefined when it's left out
+function serializeProperty(state, key, holder) {
+    const value = prepareValue(state, key, holder);
+
+    if (value === null) return "null";
+    if (value === true) return "true";
+    if (value === false) return "false";
+    if (typeof value === "string") return quoteJSONString(value);
+    if (typeof value === "number") return isFinite(value) ? String(value) : "null";
+    if (typeof value === "bigint") throw new TypeError("Do not know how to serialize a BigInt");
     if (typeof value === "object") {
-        const keys = Object.keys(value);
-        const parts = keys.map(k => `"${k}":${customStringify(value[k])}`);
-        return `{${parts.join(",")}}`;
+        return Array.isArray(value) ? serializeArray(state, value) : serializeObject(state, value);
     }
-    return undefined; // omit undefined like real stringify
+    return undefined; // undefined, function, symbol
+}
+
+// Helper: Remember we're inside value, throw if we already were
+function enter(state, value) {
+    if (state.stack.includes(value)) {
+        throw new TypeError("Converting circular structure to JSON");
+    }
+    state.stack.push(value);
+    const stepback = state.indent;
+    state.indent += state.gap;
+    return stepback;
+}
+
+// Helper: Put the parts between the brackets, one per line when indenting
+function wrap(state, open, parts, close, stepback) {
+    if (parts.length === 0) return open + close;
+    if (state.gap === "") return open + parts.join(",") + close;
+    return open + "\n" + state.indent + parts.join(",\n" + state.indent) + "\n" + stepback + close;
+}
+
+function serializeObject(state, value) {
+    const stepback = enter(state, value);
+    const keys = state.propertyList || Object.keys(value);
+    const parts = [];
+    for (const key of keys) {
+        const text = serializeProperty(state, key, value);
+        if (text !== undefined) {
+            parts.push(quoteJSONString(key) + ":" + (state.gap ? " " : "") + text);
+        }
+    }
+    const result = wrap(state, "{", parts, "}", stepback);
+    state.stack.pop();
+    state.indent = stepback;
+    return result;
+}
+
+function serializeArray(state, value) {
+    const stepback = enter(state, value);
+    const parts = [];
+    for (let i = 0; i < value.length; i++) {
+        const text = serializeProperty(state, String(i), value);
+        parts.push(text === undefined ? "null" : text);
+    }
+    const result = wrap(state, "[", parts, "]", stepback);
+    state.stack.pop();
+    state.indent = stepback;
+    return result;
+}
+
+// "text" with JSON escapes; lone surrogates become \udXXX so the
+// output is always valid UTF-16 (well-formed JSON.stringify)
+function quoteJSONString(text) {
+    let result = '"';
+    let runStart = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        let escaped = null;
+        if (code === 34) escaped = '\\"';
+        else if (code === 92) escaped = "\\\\";
+        else if (code === 8) escaped = "\\b";
+        else if (code === 9) escaped = "\\t";
+        else if (code === 10) escaped = "\\n";
+        else if (code === 12) escaped = "\\f";
+        else if (code === 13) escaped = "\\r";
+        else if (code < 0x20) escaped = "\\u" + code.toString(16).padStart(4, "0");
+        else if (code >= 0xD800 && code <= 0xDFFF) {
+            const next = text.charCodeAt(i + 1);
+            if (code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+                i++; // a complete pair stays as it is
+                continue;
+            }
+            escaped = "\\u" + code.toString(16);
+        }
+        if (escaped !== null) {
+            result += text.slice(runStart, i) + escaped;
+            runStart = i + 1;
+        }
+    }
+    return result + text.slice(runStart) + '"';
 }
 
 
 // ---------- JSON.parse ----------
-function customParse(json) {
-    // simplest correct implementation → use Function constructor
-    // behaves the same as JSON.parse but relies on JS grammar engine
-    return Function("return " + json)();
+// Parses RFC 8259 JSON by reading it character by character - the input is
+// never run as code, so it is safe for untrusted payloads (webhooks etc.)
+// e.g. customParse('{"a":[1,2]}') → { a: [1, 2] }
+// e.g. customParse('{a:1}') → SyntaxError: Expected a string key or '}' but found 'a' at position 1 (line 1, column 2)
+// Nesting is tracked with an explicit stack instead of recursion, so
+// '[[[[…' a million levels deep can't overflow the call stack.
+// reviver(key, value) works like JSON.parse's: called bottom-up with the
+// holder object as this, returning undefined removes the property.
+// options.tagged turns the tags of customStringify's tagged output back into
+// Map, Set, Date... - the reviver runs first and sees the tags as they are.
+
+// Characters after a backslash and what they stand for
+const JSON_ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+function customParse(text, reviver, options = {}) {
+    text = `${text}`; // like JSON.parse: throws for a Symbol
+    let i = 0;
+
+    // Objects/arrays still being filled: { container, key }
+    const stack = [];
+    let root;
+    let done = false;
+
+    skipWhitespace();
+    while (!done) {
+        // 1. Read one value
+        let value;
+        const char = text[i];
+        if (char === "{" || char === "[") {
+            i++;
+            skipWhitespace();
+            const isArray = char === "[";
+            const closer = isArray ? "]" : "}";
+            const container = isArray ? [] : {};
+            if (text[i] === closer) {
+                i++;
+                value = container; // empty, finished right away
+            } else {
+                stack.push({ container, key: isArray ? null : readKey("a string key or '}'") });
+                skipWhitespace();
+                continue; // now read its first value
+            }
+        } else {
+            value = readPrimitive();
+        }
+
+        // 2. Store it, and close every container that ends right after it
+        while (true) {
+            if (stack.length === 0) {
+                root = value;
+                done = true;
+                break;
+            }
+            const top = stack[stack.length - 1];
+            if (Array.isArray(top.container)) {
+                top.container.push(value);
+            } else {
+                defineValue(top.container, top.key, value);
+            }
+
+            skipWhitespace();
+            const closer = Array.isArray(top.container) ? "]" : "}";
+            if (text[i] === ",") {
+                i++;
+                skipWhitespace();
+                if (!Array.isArray(top.container)) {
+                    top.key = readKey("a string key");
+                    skipWhitespace();
+                }
+                break; // read the next value
+            }
+            if (text[i] !== closer) {
+                fail(`',' or '${closer}'`);
+            }
+            i++;
+            stack.pop();
+            value = top.container;
+        }
+    }
+
+    // Only whitespace may follow the value
+    skipWhitespace();
+    if (i < text.length) {
+        fail("end of input");
+    }
+
+    const revived = typeof reviver === "function" ? internalize(root, reviver) : root;
+    return options.tagged ? decodeTagged(revived) : revived;
+
+    // Helpers share text and i with customParse
+
+    function skipWhitespace() {
+        // JSON whitespace is only space, tab, line feed and carriage return
+        while (text[i] === " " || text[i] === "\t" || text[i] === "\n" || text[i] === "\r") i++;
+    }
+
+    // "key" followed by ':'
+    function readKey(expected) {
+        if (text[i] !== '"') fail(expected);
+        const key = readString();
+        skipWhitespace();
+        if (text[i] !== ":") fail("':'");
+        i++;
+        skipWhitespace();
+        return key;
+    }
+
+    function readPrimitive() {
+        const char = text[i];
+        if (char === '"') return readString();
+        if (char === "-" || (char >= "0" && char <= "9")) return readNumber();
+        for (const [word, value] of [["true", true], ["false", false], ["null", null]]) {
+            if (text.startsWith(word, i)) {
+                i += word.length;
+                return value;
+            }
+        }
+        fail("a value");
+    }
+
+    // -? (0 | [1-9][0-9]*) (. [0-9]+)? ([eE] [+-]? [0-9]+)?
+    function readNumber() {
+        const start = i;
+        if (text[i] === "-") i++;
+        if (text[i] === "0") {
+            i++; // no leading zeros: "01" stops after the 0
+        } else if (text[i] >= "1" && text[i] <= "9") {
+            skipDigits();
+        } else {
+            fail("a digit");
+        }
+        if (text[i] === ".") {
+            i++;
+            if (!(text[i] >= "0" && text[i] <= "9")) fail("a digit after '.'");
+            skipDigits();
+        }
+        if (text[i] === "e" || text[i] === "E") {
+            i++;
+            if (text[i] === "+" || text[i] === "-") i++;
+            if (!(text[i] >= "0" && text[i] <= "9")) fail("a digit in the exponent");
+            skipDigits();
+        }
+        // The literal is validated, Number() only does the rounding
+        return Number(text.slice(start, i));
+    }
+
+    function skipDigits() {
+        while (text[i] >= "0" && text[i] <= "9") i++;
+    }
+
+    function readString() {
+        i++; // opening quote
+        let result = "";
+        let runStart = i; // characters without escapes are copied in one go
+        while (true) {
+            if (i >= text.length) fail("'\"'");
+            const code = text.charCodeAt(i);
+            if (code === 34) { // "
+                result += text.slice(runStart, i);
+                i++;
+                return result;
+            }
+            if (code < 0x20) fail("an escaped control character");
+            if (code !== 92) { // not a backslash
+                i++;
+                continue;
+            }
+
+            result += text.slice(runStart, i);
+            const escape = text[i + 1];
+            if (escape !== undefined && Object.prototype.hasOwnProperty.call(JSON_ESCAPES, escape)) {
+                result += JSON_ESCAPES[escape];
+                i += 2;
+            } else if (escape === "u") {
+                const hex = text.slice(i + 2, i + 6);
+                if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                    i += 2;
+                    fail("4 hex digits after '\\u'");
+                }
+                result += String.fromCharCode(parseInt(hex, 16));
+                i += 6;
+            } else {
+                i++;
+                fail("a valid escape");
+            }
+            runStart = i;
+        }
+    }
+
+    function fail(expected) {
+        const found = i < text.length ? `'${text[i]}'` : "end of input";
+        throw jsonSyntaxError(`Expected ${expected} but found ${found}`, text, i);
+    }
+}
+
+// SyntaxError with the position, line and column of the problem
+function jsonSyntaxError(message, text, position) {
+    let line = 1;
+    let lineStart = 0;
+    for (let k = 0; k < position; k++) {
+        if (text[k] === "\n") {
+            line++;
+            lineStart = k + 1;
+        }
+    }
+    const column = position - lineStart + 1;
+    const error = new SyntaxError(`${message} at position ${position} (line ${line}, column ${column})`);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    return error;
+}
+
+// Add an own property even for "__proto__", so a payload can't swap the
+// prototype of the result (what JSON.parse does too)
+function defineValue(target, key, value) {
+    if (key === "__proto__") {
+        Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        target[key] = value;
+    }
+}
+
+// Call reviver bottom-up on every property, like JSON.parse does
+// Iterative for the same reason as customParse: no deep recursion
+function internalize(root, reviver) {
+    const holder = { "": root };
+    const stack = [{ holder, key: "", value: undefined, keys: null, index: 0 }];
+
+    while (true) {
+        const frame = stack[stack.length - 1];
+
+        // First visit: read the value and which children it has right now
+        // (the reviver may have changed it while visiting siblings)
+        if (frame.keys === null) {
+            frame.value = frame.holder[frame.key];
+            frame.keys = [];
+            if (frame.value !== null && typeof frame.value === "object") {
+                if (Array.isArray(frame.value)) {
+                    for (let k = 0; k < frame.value.length; k++) frame.keys.push(String(k));
+                } else {
+                    frame.keys = Object.keys(frame.value);
+                }
+            }
+        }
+
+        // Children first
+        if (frame.index < frame.keys.length) {
+            stack.push({ holder: frame.value, key: frame.keys[frame.index++], value: undefined, keys: null, index: 0 });
+            continue;
+        }
+
+        stack.pop();
+        const revived = reviver.call(frame.holder, frame.key, frame.value);
+        if (stack.length === 0) return revived;
+
+        if (revived === undefined) {
+            delete frame.holder[frame.key];
+        } else {
+            defineValue(frame.holder, frame.key, revived);
+        }
+    }
+}
+
+// ---------- Tagged JSON (opt-in) ----------
+// customStringify(value, null, 0, { tagged: true }) also keeps what plain
+// JSON loses, as objects with a "$type":
+//   Map         {"$type":"Map","value":[[key, value], ...]}
+//   Set         {"$type":"Set","value":[...]}
+//   Date        {"$type":"Date","value":"2024-01-31T00:00:00.000Z"} (null for an Invalid Date)
+//   BigInt      {"$type":"BigInt","value":"12345678901234567890"}
+//   undefined   {"$type":"undefined"}
+//   NaN, ±Infinity, -0  {"$type":"Number","value":"-Infinity"}
+//   RegExp      {"$type":"RegExp","source":"a+","flags":"gi"}
+//   typed array {"$type":"Uint8Array","value":[1,2,3]} (also ArrayBuffer)
+// An object reached more than once (shared or circular) gets an "$id" the
+// first time and is {"$ref":id} after that; plain objects and arrays are
+// wrapped as {"$type":"Object"|"Array","$id":1,"value":...} to carry it.
+// A plain object with its own "$type" or "$ref" key is wrapped the same way.
+// customParse(text, reviver, { tagged: true }) builds the real values again.
+// Functions and symbols are still left out, and toJSON isn't called: an
+// object is saved as its own enumerable properties (its class is lost).
+
+const TYPED_ARRAYS = {
+    Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array,
+    Int32Array, Uint32Array, Float32Array, Float64Array, BigInt64Array, BigUint64Array
+};
+
+// Plain JSON-safe copy of value with the tags above
+function encodeTagged(root) {
+    // 1. Count how often each object is reached, only those seen twice get an $id
+    const visits = new Map();
+    const countVisits = (value) => {
+        if (typeof value !== "object" || value === null) return;
+        const count = visits.get(value) || 0;
+        visits.set(value, count + 1);
+        if (count > 0) return; // its children are counted already
+        if (value instanceof Map) {
+            for (const [key, item] of value) {
+                countVisits(key);
+                countVisits(item);
+            }
+        } else if (value instanceof Set || Array.isArray(value)) {
+            for (const item of value) countVisits(item);
+        } else if (!ArrayBuffer.isView(value) && !(value instanceof Date) && !(value instanceof RegExp)) {
+            for (const key of Object.keys(value)) countVisits(value[key]);
+        }
+    };
+    countVisits(root);
+
+    // 2. Copy, tagging whatever JSON can't hold
+    const ids = new Map();
+    let nextId = 1;
+
+    // undefined when the value is left out (functions and symbols)
+    const encode = (value) => {
+        if (value === undefined) return { $type: "undefined" };
+        if (typeof value === "number") {
+            if (Object.is(value, -0)) return { $type: "Number", value: "-0" };
+            return isFinite(value) ? value : { $type: "Number", value: String(value) };
+        }
+        if (typeof value === "bigint") return { $type: "BigInt", value: String(value) };
+        if (typeof value === "function" || typeof value === "symbol") return undefined;
+        if (typeof value !== "object" || value === null) return value;
+
+        if (ids.has(value)) return { $ref: ids.get(value) };
+        let id;
+        if (visits.get(value) > 1) {
+            id = nextId++;
+            ids.set(value, id); // before the children, so a cycle finds it
+        }
+        const tag = (type, fields) => Object.assign(id === undefined ? { $type: type } : { $type: type, $id: id }, fields);
+
+        if (value instanceof Map) {
+            return tag("Map", { value: Array.from(value, ([key, item]) => [encodeItem(key), encodeItem(item)]) });
+        }
+        if (value instanceof Set) return tag("Set", { value: Array.from(value, encodeItem) });
+        if (value instanceof Date) {
+            const time = value.getTime();
+            return tag("Date", { value: time === time ? value.toISOString() : null });
+        }
+        if (value instanceof RegExp) return tag("RegExp", { source: value.source, flags: value.flags });
+        if (value instanceof ArrayBuffer) return tag("ArrayBuffer", { value: Array.from(new Uint8Array(value)) });
+        if (ArrayBuffer.isView(value)) {
+            const type = value[Symbol.toStringTag];
+            if (TYPED_ARRAYS[type] === undefined) { // DataView
+                return tag(type, { value: Array.from(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) });
+            }
+            // BigInt64Array items as plain strings, the type says what they are
+            return tag(type, { value: Array.from(value, (item) => typeof item === "bigint" ? String(item) : encode(item)) });
+        }
+        if (Array.isArray(value)) {
+            const items = Array.from(value, encodeItem);
+            return id === undefined ? items : tag("Array", { value: items });
+        }
+
+        const copy = {};
+        for (const key of Object.keys(value)) {
+            const item = encode(value[key]);
+            if (item !== undefined) defineValue(copy, key, item);
+        }
+        const clashes = Object.prototype.hasOwnProperty.call(copy, "$type") || Object.prototype.hasOwnProperty.call(copy, "$ref");
+        return id === undefined && !clashes ? copy : tag("Object", { value: copy });
+    };
+
+    // Inside arrays, Maps and Sets a function or symbol becomes null, like in JSON arrays
+    const encodeItem = (value) => {
+        const item = encode(value);
+        return item === undefined ? null : item;
+    };
+
+    return encode(root);
+}
+
+// Numbers JSON can't hold, as encodeTagged writes them
+const SPECIAL_NUMBERS = ["NaN", "Infinity", "-Infinity", "-0"];
+
+// Helper: Plain JSON checks for tag fields
+const isIntegerText = (value) => typeof value === "string" && /^-?\d+$/.test(value);
+const isByteArray = (value) => Array.isArray(value) && value.every((item) => Number.isInteger(item) && item >= 0 && item <= 255);
+
+// Inverse of encodeTagged on the parsed JSON
+// A tag without the fields encodeTagged writes (e.g. {"$type":"Set","value":5})
+// is a SyntaxError, like any other malformed input
+function decodeTagged(root) {
+    const objects = new Map(); // $id → decoded object
+
+    const decode = (node) => {
+        if (typeof node !== "object" || node === null) return node;
+        if (Array.isArray(node)) return node.map(decode);
+
+        const own = (key) => Object.prototype.hasOwnProperty.call(node, key);
+        if (own("$ref")) {
+            if (!objects.has(node.$ref)) throw new SyntaxError(`Unknown $ref ${node.$ref}`);
+            return objects.get(node.$ref);
+        }
+        if (!own("$type")) return fill({}, node);
+
+        // Containers are registered before their children, so cycles resolve
+        const keep = (object) => {
+            if (own("$id")) objects.set(node.$id, object);
+            return object;
+        };
+        const type = node.$type;
+        const value = node.value;
+        const check = (ok, expected) => {
+            if (!ok) throw new SyntaxError(`Expected ${expected} in a ${JSON.stringify(type)} tag`);
+        };
+        switch (type) {
+            case "undefined": return undefined;
+            case "Number":
+                check(SPECIAL_NUMBERS.includes(value), `"NaN", "Infinity", "-Infinity" or "-0" as value`);
+                return Number(value);
+            case "BigInt":
+                check(isIntegerText(value), "a string of digits as value");
+                return BigInt(value);
+            case "Date":
+                check(value === null || (typeof value === "string" && Date.parse(value) === Date.parse(value)), "a date string or null as value");
+                return keep(new Date(value === null ? NaN : value));
+            case "RegExp":
+                check(typeof node.source === "string" && typeof node.flags === "string", "source and flags strings");
+                return keep(new RegExp(node.source, node.flags)); // a bad pattern is a SyntaxError too
+            case "ArrayBuffer":
+                check(isByteArray(value), "an array of bytes as value");
+                return keep(new Uint8Array(value).buffer);
+            case "DataView":
+                check(isByteArray(value), "an array of bytes as value");
+                return keep(new DataView(new Uint8Array(value).buffer));
+            case "Object":
+                check(typeof value === "object" && value !== null && !Array.isArray(value), "an object as value");
+                return fill(keep({}), value);
+            case "Array": {
+                check(Array.isArray(value), "an array as value");
+                const array = keep([]);
+                for (const item of value) array.push(decode(item));
+                return array;
+            }
+            case "Map": {
+                check(Array.isArray(value) && value.every((entry) => Array.isArray(entry) && entry.length === 2), "an array of [key, value] pairs as value");
+                const map = keep(new Map());
+                for (const [key, item] of value) map.set(decode(key), decode(item));
+                return map;
+            }
+            case "Set": {
+                check(Array.isArray(value), "an array as value");
+                const set = keep(new Set());
+                for (const item of value) set.add(decode(item));
+                return set;
+            }
+        }
+        if (Object.prototype.hasOwnProperty.call(TYPED_ARRAYS, type)) {
+            const big = type === "BigInt64Array" || type === "BigUint64Array";
+            check(Array.isArray(value), "an array as value");
+            const items = value.map((item) => {
+                if (big) {
+                    check(isIntegerText(item), "strings of digits as items");
+                    return BigInt(item);
+                }
+                const number = decode(item);
+                check(typeof number === "number", "numbers as items");
+                return number;
+            });
+            return keep(new TYPED_ARRAYS[type](items));
+        }
+        throw new SyntaxError(`Unknown $type ${JSON.stringify(type)}`);
+    };
+
+    const fill = (target, source) => {
+        for (const key of Object.keys(source)) defineValue(target, key, decode(source[key]));
+        return target;
+    };
+
+    return decode(root);
 }
 
 // Example:
-const jsonTest = customStringify({ name: "Alice", age: 20, list: [1, 2] });
-console.log("customStringify:", jsonTest);
-console.log("customParse:", customParse(jsonTest));
+if (require.main === module) {
+    const jsonTest = customStringify({ name: "Alice", age: 20, list: [1, 2] });
+    console.log("customStringify:", jsonTest);
+    console.log("customStringify indented:", customStringify({ when: new Date(0), skip: undefined, list: [NaN, () => 1] }, null, 2));
+    // → {
+    //     "when": "1970-01-01T00:00:00.000Z",
+    //     "list": [
+    //       null,
+    //       null
+    //     ]
+    //   }
+    console.log("customStringify replacer:", customStringify({ id: 7, password: "x", name: "Alice\n" }, ["id", "name"]));
+    // → {"id":7,"name":"Alice\n"}
+    console.log("customParse:", customParse(jsonTest));
+    console.log("customParse reviver:", customParse('{"price":"12.50","qty":3}', (key, value) => key === "price" ? Number(value) : value));
+    // → { price: 12.5, qty: 3 }
+    try {
+        customParse('{"user": "alice",}');
+    } catch (error) {
+        console.log("customParse error:", error.message);
+    }
+    // → Expected a string key but found '}' at position 17 (line 1, column 18)
+
+    const cache = { users: new Map([["alice", { since: new Date(0), visits: 12n }]]), tags: new Set(["a"]) };
+    cache.self = cache;
+    const saved = customStringify(cache, null, 0, { tagged: true });
+    console.log("customStringify tagged:", saved);
+    // → {"$type":"Object","$id":1,"value":{"users":{"$type":"Map","value":[["alice",{"since":{"$type":"Date",...
+    const restored = customParse(saved, null, { tagged: true });
+    console.log("customParse tagged:", restored.users.get("alice"), restored.tags.has("a"), restored.self === restored);
+    // → { since: 1970-01-01T00:00:00.000Z, visits: 12n } true true
+
+    try {
+        customParse('{"$type":"Uint8Array","value":5}', null, { tagged: true });
+    } catch (error) {
+        console.log(error.name, error.message);
+        // → SyntaxError Expected an array as value in a "Uint8Array" tag
+    }
+}
 
 
 // ======================================================
@@ -127,14 +803,16 @@ function customReduceRight(arr, callback, initialValue) {
 }
 
 // Example:
-console.log(
-    "customReduce:",
-    customReduce([1, 2, 3, 4], (acc, x) => acc + x)
-);
-console.log(
-    "customReduceRight:",
-    customReduceRight([1, 2, 3], (acc, x) => acc + x, 0)
-);
+if (require.main === module) {
+    console.log(
+        "customReduce:",
+        customReduce([1, 2, 3, 4], (acc, x) => acc + x)
+    );
+    console.log(
+        "customReduceRight:",
+        customReduceRight([1, 2, 3], (acc, x) => acc + x, 0)
+    );
+}
 
 
 // ======================================================
@@ -160,36 +838,364 @@ function customJoin(arr, separator = ",") {
 }
 
 // Example:
-console.log("customJoin:", customJoin(["A", "B", "C"], "-"));
-// → "A-B-C"
+if (require.main === module) {
+    console.log("customJoin:", customJoin(["A", "B", "C"], "-"));
+    // → "A-B-C"
+}
 
 
 // ======================================================
-// 5. CUSTOM sort() — using Bubble Sort (no native .sort)
+// 5. CUSTOM sort() — using TimSort (no native .sort)
 // ======================================================
 
 // ---------- CUSTOM sort() ----------
-// Sorts an array using Bubble Sort algorithm
+// Sorts a copy of the array like Array.prototype.sort would sort it
 // e.g. customSort([5, 2, 9, 1, 3]) → [1, 2, 3, 5, 9]
-// Accepts an optional comparison function
+// e.g. customSort([10, 9, 1]) → [1, 10, 9] (no compareFn: compared as strings)
+// - stable: items that compare equal keep their order
+// - compareFn(a, b) < 0 puts a first, > 0 puts b first, NaN counts as 0
+// - undefined goes last (compareFn never sees it), holes after that
+//
+// TimSort (what V8 and Python use), O(n log n) and O(n) on sorted input:
+// 1. Split the array into runs that are already ascending (a strictly
+//    descending run is reversed); runs shorter than minRun (16-32) are
+//    extended with binary insertion sort.
+// 2. Keep a stack of runs with roughly balanced lengths and merge
+//    neighbours, so every item takes part in about log n merges.
+// 3. When one run keeps winning during a merge, switch to galloping:
+//    find how far it wins with an exponential search and copy the whole
+//    block at once.
+
+const MIN_MERGE = 32; // shorter arrays are just insertion sorted
+const MIN_GALLOP = 7; // wins in a row before galloping starts
 
 function customSort(arr, compareFn) {
-    const a = [...arr]; // copy so we don't mutate original
-    const cmp = compareFn || ((x, y) => (x > y ? 1 : x < y ? -1 : 0));
+    if (compareFn !== undefined && typeof compareFn !== "function") {
+        throw new TypeError("The comparison function must be either a function or undefined");
+    }
+
+    // Holes are skipped and undefined is kept aside, neither gets compared
+    const items = [];
+    let undefinedCount = 0;
+    for (let i = 0; i < arr.length; i++) {
+        if (!(i in arr)) continue;
+        if (arr[i] === undefined) undefinedCount++;
+        else items.push(arr[i]);
+    }
+
+    let sorted;
+    if (compareFn) {
+        sorted = items;
+        timSort(sorted, (a, b) => compareFn(a, b) < 0);
+    } else {
+        // Each item turned into a string once, not on every comparison
+        // (`${}` so a Symbol throws a TypeError, like native)
+        sorted = items.map((value) => ({ value, key: `${value}` }));
+        timSort(sorted, (a, b) => a.key < b.key);
+        for (let i = 0; i < sorted.length; i++) sorted[i] = sorted[i].value;
+    }
+
+    for (let i = 0; i < undefinedCount; i++) sorted.push(undefined);
+    sorted.length = arr.length; // holes stay at the end
+    return sorted;
+}
+
+// Sorts a in place, less(x, y) is true when x has to come before y
+function timSort(a, less) {
+    const n = a.length;
+    if (n < 2) return;
+    if (n < MIN_MERGE) {
+        binaryInsertionSort(a, 0, n, countRun(a, 0, n, less), less);
+        return;
+    }
+
+    const runs = []; // { base, length }, pending merges
+    const state = { minGallop: MIN_GALLOP };
+    const minRun = minRunLength(n);
+    let lo = 0;
+    while (lo < n) {
+        let length = countRun(a, lo, n, less);
+        if (length < minRun) {
+            const forced = Math.min(minRun, n - lo);
+            binaryInsertionSort(a, lo, lo + forced, lo + length, less);
+            length = forced;
+        }
+        runs.push({ base: lo, length });
+        mergeCollapse();
+        lo += length;
+    }
+
+    // Merge whatever is left on the stack
+    while (runs.length > 1) {
+        let k = runs.length - 2;
+        if (k > 0 && runs[k - 1].length < runs[k + 1].length) k--;
+        mergeAt(k);
+    }
 
-    for (let i = 0; i < a.length; i++) {
-        for (let j = 0; j < a.length - 1; j++) {
-            if (cmp(a[j], a[j + 1]) > 0) {
-                const temp = a[j];
-                a[j] = a[j + 1];
-                a[j + 1] = temp;
+    // Helpers share a, runs and state with timSort
+
+    // Merge until every run is longer than the two above it together, and
+    // each one longer than the one above it, so lengths grow like Fibonacci
+    // numbers going down and the stack stays O(log n) deep
+    function mergeCollapse() {
+        while (runs.length > 1) {
+            let k = runs.length - 2;
+            if ((k > 0 && runs[k - 1].length <= runs[k].length + runs[k + 1].length) ||
+                (k > 1 && runs[k - 2].length <= runs[k - 1].length + runs[k].length)) {
+                if (runs[k - 1].length < runs[k + 1].length) k--;
+            } else if (runs[k].length > runs[k + 1].length) {
+                break;
             }
+            mergeAt(k);
         }
     }
 
-    return a;
+    // Merge runs[k] with runs[k + 1]
+    function mergeAt(k) {
+        let { base: base1, length: length1 } = runs[k];
+        let { base: base2, length: length2 } = runs[k + 1];
+        runs[k] = { base: base1, length: length1 + length2 };
+        runs.splice(k + 1, 1);
+
+        // The start of run 1 that is ≤ everything in run 2 is already in place,
+        // and so is the end of run 2 that is ≥ everything in run 1
+        const skip = gallopRight(a[base2], a, base1, length1, 0, less);
+        base1 += skip;
+        length1 -= skip;
+        if (length1 === 0) return;
+        length2 = gallopLeft(a[base1 + length1 - 1], a, base2, length2, length2 - 1, less);
+        if (length2 === 0) return;
+
+        mergeRuns(a, base1, length1, base2, length2, less, state);
+    }
+}
+
+// Helper: minRun between 16 and 32 so that n / minRun is a power of two
+// or just below one (balanced merges at the end)
+function minRunLength(n) {
+    let extra = 0;
+    while (n >= MIN_MERGE) {
+        extra |= n & 1;
+        n >>= 1;
+    }
+    return n + extra;
+}
+
+// Helper: Length of the run starting at lo. A descending run is reversed;
+// strictly descending only, so equal items never trade places.
+function countRun(a, lo, hi, less) {
+    let end = lo + 1;
+    if (end === hi) return 1;
+    if (less(a[end], a[lo])) {
+        end++;
+        while (end < hi && less(a[end], a[end - 1])) end++;
+        for (let i = lo, j = end - 1; i < j; i++, j--) {
+            const temp = a[i];
+            a[i] = a[j];
+            a[j] = temp;
+        }
+    } else {
+        end++;
+        while (end < hi && !less(a[end], a[end - 1])) end++;
+    }
+    return end - lo;
+}
+
+// Helper: Sort a[lo..hi) knowing a[lo..start) is sorted already
+// Binary search for the spot, after any equal items (stable)
+function binaryInsertionSort(a, lo, hi, start, less) {
+    for (let i = start; i < hi; i++) {
+        const pivot = a[i];
+        let left = lo;
+        let right = i;
+        while (left < right) {
+            const mid = (left + right) >>> 1;
+            if (less(pivot, a[mid])) right = mid;
+            else left = mid + 1;
+        }
+        for (let j = i; j > left; j--) a[j] = a[j - 1];
+        a[left] = pivot;
+    }
+}
+
+// Helper: Where key goes in the sorted a[base..base+length), before any equal
+// items. Looks at hint, hint ± 1, ± 3, ± 7... first, then binary searches the
+// last gap, so a spot k items from hint costs about 2·log k comparisons.
+function gallopLeft(key, a, base, length, hint, less) {
+    let lastOffset = 0;
+    let offset = 1;
+    if (less(a[base + hint], key)) {
+        // Gallop right until a[base + hint + offset] >= key
+        const maxOffset = length - hint;
+        while (offset < maxOffset && less(a[base + hint + offset], key)) {
+            lastOffset = offset;
+            offset = offset * 2 + 1;
+        }
+        offset = Math.min(offset, maxOffset);
+        lastOffset += hint;
+        offset += hint;
+    } else {
+        // Gallop left until a[base + hint - offset] < key
+        const maxOffset = hint + 1;
+        while (offset < maxOffset && !less(a[base + hint - offset], key)) {
+            lastOffset = offset;
+            offset = offset * 2 + 1;
+        }
+        offset = Math.min(offset, maxOffset);
+        [lastOffset, offset] = [hint - offset, hint - lastOffset];
+    }
+
+    // Now a[base + lastOffset] < key <= a[base + offset]
+    lastOffset++;
+    while (lastOffset < offset) {
+        const mid = lastOffset + ((offset - lastOffset) >>> 1);
+        if (less(a[base + mid], key)) lastOffset = mid + 1;
+        else offset = mid;
+    }
+    return offset;
+}
+
+// Helper: Same as gallopLeft, but after any items equal to key
+function gallopRight(key, a, base, length, hint, less) {
+    let lastOffset = 0;
+    let offset = 1;
+    if (less(key, a[base + hint])) {
+        const maxOffset = hint + 1;
+        while (offset < maxOffset && less(key, a[base + hint - offset])) {
+            lastOffset = offset;
+            offset = offset * 2 + 1;
+        }
+        offset = Math.min(offset, maxOffset);
+        [lastOffset, offset] = [hint - offset, hint - lastOffset];
+    } else {
+        const maxOffset = length - hint;
+        while (offset < maxOffset && !less(key, a[base + hint + offset])) {
+            lastOffset = offset;
+            offset = offset * 2 + 1;
+        }
+        offset = Math.min(offset, maxOffset);
+        lastOffset += hint;
+        offset += hint;
+    }
+
+    // Now a[base + lastOffset] <= key < a[base + offset]
+    lastOffset++;
+    while (lastOffset < offset) {
+        const mid = lastOffset + ((offset - lastOffset) >>> 1);
+        if (less(key, a[base + mid])) offset = mid;
+        else lastOffset = mid + 1;
+    }
+    return offset;
+}
+
+// Helper: Merge the neighbouring sorted runs a[base1..) and a[base2..)
+// Run 1 is copied out and the result is written from base1 onwards, which
+// never overtakes the unread part of run 2.
+function mergeRuns(a, base1, length1, base2, length2, less, state) {
+    const left = a.slice(base1, base1 + length1);
+    const end2 = base2 + length2;
+    let cursor1 = 0; // in left
+    let cursor2 = base2; // in a
+    let dest = base1;
+
+    while (cursor1 < length1 && cursor2 < end2) {
+        // One item at a time, counting how often each side wins in a row
+        let wins1 = 0;
+        let wins2 = 0;
+        while (cursor1 < length1 && cursor2 < end2 && Math.max(wins1, wins2) < state.minGallop) {
+            if (less(a[cursor2], left[cursor1])) { // ties go to run 1 (stable)
+                a[dest++] = a[cursor2++];
+                wins2++;
+                wins1 = 0;
+            } else {
+                a[dest++] = left[cursor1++];
+                wins1++;
+                wins2 = 0;
+            }
+        }
+
+        // Galloping: copy whole blocks while the blocks stay long
+        while (cursor1 < length1 && cursor2 < end2) {
+            wins1 = gallopRight(a[cursor2], left, cursor1, length1 - cursor1, 0, less);
+            for (let k = 0; k < wins1; k++) a[dest++] = left[cursor1++];
+            if (cursor1 === length1) break;
+            a[dest++] = a[cursor2++]; // smaller than left[cursor1], or gallopRight would have taken it
+
+            if (cursor2 === end2) break;
+            wins2 = gallopLeft(left[cursor1], a, cursor2, end2 - cursor2, 0, less);
+            for (let k = 0; k < wins2; k++) a[dest++] = a[cursor2++];
+            if (cursor2 === end2) break;
+            a[dest++] = left[cursor1++];
+
+            // Short blocks: back to one at a time, and wait longer next time
+            if (wins1 < MIN_GALLOP && wins2 < MIN_GALLOP) {
+                state.minGallop += 2;
+                break;
+            }
+            if (state.minGallop > 1) state.minGallop--;
+        }
+    }
+
+    // The rest of run 2 is in place already, only run 1 may be left
+    while (cursor1 < length1) a[dest++] = left[cursor1++];
 }
 
 // Example:
-console.log("customSort:", customSort([5, 2, 9, 1, 3]));
-// → [1, 2, 3, 5, 9]
+if (require.main === module) {
+    console.log("customSort:", customSort([5, 2, 9, 1, 3]));
+    // → [1, 2, 3, 5, 9]
+    console.log("customSort default order:", customSort([10, 9, 1, undefined, , "b", "B"]));
+    // → [1, 10, 9, 'B', 'b', undefined, <1 empty item>]
+    const people = [{ name: "Ann", age: 30 }, { name: "Bob", age: 25 }, { name: "Cid", age: 30 }, { name: "Dan", age: 25 }];
+    console.log("customSort stable:", customSort(people, (a, b) => a.age - b.age).map((person) => person.name).join(", "));
+    // → Bob, Dan, Ann, Cid
+}
+
+// ======================================================
+// BENCHMARK: node Task20.js --bench
+// ======================================================
+// customSort against native sort, on random, sorted, reversed and
+// "sorted with a few changes" arrays (where finding runs pays off)
+
+function benchmarkSort() {
+    const size = 200000;
+    let seed = 42; // same numbers on every run
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const randomNumbers = Array.from({ length: size }, () => Math.floor(random() * size));
+    const ascending = Array.from({ length: size }, (_, i) => i);
+    const nearlySorted = ascending.slice();
+    for (let i = 0; i < size / 100; i++) nearlySorted[Math.floor(random() * size)] = Math.floor(random() * size);
+
+    const byNumber = (a, b) => a - b;
+    const cases = [
+        ["random numbers", randomNumbers, byNumber],
+        ["random numbers (as strings)", randomNumbers, undefined],
+        ["sorted", ascending, byNumber],
+        ["reversed", ascending.slice().reverse(), byNumber],
+        ["nearly sorted", nearlySorted, byNumber]
+    ];
+
+    console.log("\n--- BENCHMARK: sort, 5 runs on " + size + " items ---\n");
+    for (const [name, input, compareFn] of cases) {
+        const timeIt = (sort) => {
+            const started = process.hrtime.bigint();
+            for (let run = 0; run < 5; run++) sort();
+            return Number(process.hrtime.bigint() - started) / 1e6;
+        };
+        const custom = timeIt(() => customSort(input, compareFn));
+        const native = timeIt(() => input.slice().sort(compareFn));
+        console.log(name + ": custom " + custom.toFixed(1) + " ms, native " + native.toFixed(1) + " ms");
+    }
+}
+
+if (require.main === module && process.argv.includes("--bench")) {
+    benchmarkSort();
+}
+
+module.exports = {
+    customFlat, customStringify, customParse, customReduce, customReduceRight, customJoin, customSort,
+    createStringifyState, prepareValue, quoteJSONString, defineValue, encodeTagged, decodeTagged
+};
@@ -7,29 +7,70 @@
 console.log("=== TESTING CUSTOM METHOD IMPLEMENTATIONS ===\n");
 
 // ============================================
-// 1. CUSTOM parseInteger(str, radix)
+// 1. CUSTOM parseInteger(str, radix, options)
 // ============================================
 
 
-function parseInteger(str, radix) {
-  // Convert to string if not already
-  if (typeof str !== 'string') {
-    str = String(str);
+// options.bigint - return a BigInt instead of a rounded number when the
+//                  result is bigger than Number.MAX_SAFE_INTEGER
+//                  parseInteger('12345678901234567890', 10, { bigint: true }) → 12345678901234567890n
+function parseInteger(str, radix, options = {}) {
+  str = `${str}`;
+  const scan = scanInteger(str, radix);
+  
+  // Return NaN for a bad radix or if no valid digits found
+  if (scan === null) {
+    return NaN;
   }
   
-  // Default radix is 10
-  if (radix === undefined) {
-    radix = 10;
+  let result;
+  if (scan.radix === 10) {
+    // Decimal digits are rounded like a number literal, so 20+ digit
+    // strings give the same double as parseInt
+    result = scan.sign * decimalToNumber(str.slice(scan.start, scan.end), 0);
   } else {
-    // Convert radix to number manually
-    radix = toNumber(radix);
-    // Check if radix is valid
-    if (radix !== radix || radix < 2 || radix > 36) {
-      return NaN;
+    result = 0;
+    for (let j = scan.start; j < scan.end; j++) {
+      result = result * scan.radix + charToDigit(str[j]);
+    }
+    // Past 2^53 every step above rounds, and the errors add up. Add the
+    // digits up exactly instead and round once, which the spec requires
+    // for radix 2, 4, 8, 16 and 32 (other radixes may differ from V8 in
+    // the last bit there, V8 only approximates them)
+    result = result > Number.MAX_SAFE_INTEGER ? Number(digitsToBigInt(str, scan)) : scan.sign * result;
+  }
+  
+  if (options.bigint && (result > Number.MAX_SAFE_INTEGER || result < -Number.MAX_SAFE_INTEGER)) {
+    return digitsToBigInt(str, scan);
+  }
+  return result;
+}
+
+// Parse an integer of any size exactly, for token amounts and snowflake IDs
+// Same rules as parseInteger (whitespace, sign, 0x prefix, stops at the
+// first invalid character), but there is no NaN for BigInts, so:
+// radix outside 2-36 → RangeError, no digits → SyntaxError
+// parseBigInt('0xffffffffffffffffff') → 4722366482869645213695n
+function parseBigInt(str, radix) {
+  const scan = scanInteger(str, radix);
+  if (scan === null) {
+    const r = toNumber(radix) | 0;
+    if (r !== 0 && (r < 2 || r > 36)) {
+      throw new RangeError(`radix must be between 2 and 36, got ${r}`);
     }
-    // Convert to integer
-    radix = radix | 0;
+    throw new SyntaxError(`Cannot parse "${str}" as an integer`);
   }
+  return digitsToBigInt(`${str}`, scan);
+}
+
+// Helper: Find sign, radix and the run of digits the way parseInt does
+// Returns { sign, radix, start, end } or null (bad radix or no digits)
+function scanInteger(str, radix) {
+  // Convert to string the way parseInt does (throws for Symbols)
+  str = `${str}`;
+  
+  // Radix goes through ToInt32: '0x10' → 16, 2^32 + 16 → 16, NaN → 0
+  radix = toNumber(radix) | 0;
   
   // Trim leading whitespace manually
   let i = 0;
@@ -46,50 +87,62 @@ function parseInteger(str, radix) {
     i++;
   }
   
-  // Handle hex prefix (0x or 0X) when radix is 16 or undefined/0
-  if (radix === 16 || radix === 0) {
-    if (i + 1 < str.length && str[i] === '0' && (str[i + 1] === 'x' || str[i + 1] === 'X')) {
-      i += 2;
-      radix = 16;
+  // Radix 0 means "not given": decimal, but a 0x prefix still switches to hex
+  let stripPrefix = true;
+  if (radix !== 0) {
+    if (radix < 2 || radix > 36) {
+      return null;
     }
-  }
-  
-  // If radix is still 0, set to 10
-  if (radix === 0) {
+    if (radix !== 16) {
+      stripPrefix = false;
+    }
+  } else {
     radix = 10;
   }
   
-  // Parse the number
-  let result = 0;
-  let hasDigits = false;
-  
-  while (i < str.length) {
-    const char = str[i];
-    const digit = charToDigit(char);
-    
-    // Check if digit is valid for this radix
-    if (digit === -1 || digit >= radix) {
-      break;
-    }
-    
-    hasDigits = true;
-    result = result * radix;
-    result = result + digit;
-    i++;
+  // Handle hex prefix (0x or 0X)
+  if (stripPrefix && i + 1 < str.length && str[i] === '0' && (str[i + 1] === 'x' || str[i + 1] === 'X')) {
+    i += 2;
+    radix = 16;
   }
   
-  // Return NaN if no valid digits found
-  if (!hasDigits) {
-    return NaN;
+  // Collect the digits that are valid for this radix
+  const start = i;
+  i = skipDigits(str, i, radix);
+  if (i === start) {
+    return null;
   }
   
-  return sign * result;
+  return { sign, radix, start, end: i };
+}
+
+// Helper: Exact BigInt value of the digits found by scanInteger
+function digitsToBigInt(str, scan) {
+  const radix = BigInt(scan.radix);
+  let result = 0n;
+  for (let j = scan.start; j < scan.end; j++) {
+    result = result * radix + BigInt(charToDigit(str[j]));
+  }
+  return scan.sign < 0 ? -result : result;
 }
 
 // Helper: Check if character is whitespace
-function isWhitespace(char) {
-  return char === ' ' || char === '\t' || char === '\n' || 
-         char === '\r' || char === '\f' || char === '\v';
+// set 'spec' (default) - what the spec trims in parseInt/Number/trim():
+//                        WhiteSpace and LineTerminator (tab, vertical tab,
+//                        form feed, BOM, every "space separator", line breaks)
+// set 'unicode'        - the Unicode White_Space property (/\p{White_Space}/u):
+//                        same spaces, plus NEL (U+0085), but not the BOM
+function isWhitespace(char, set = 'spec') {
+  const code = char.charCodeAt(0);
+  const space = code === 0x09 || code === 0x0B || code === 0x0C || code === 0x20 ||
+         code === 0xA0 || code === 0x1680 ||
+         (code >= 0x2000 && code <= 0x200A) ||
+         code === 0x202F || code === 0x205F || code === 0x3000 ||
+         code === 0x0A || code === 0x0D || code === 0x2028 || code === 0x2029;
+  if (set === 'unicode') {
+    return space || code === 0x85;
+  }
+  return space || code === 0xFEFF;
 }
 
 // Helper: Convert character to digit value
@@ -112,7 +165,173 @@ function charToDigit(char) {
   return -1;
 }
 
+// Helper: Turn decimal digits and a power of ten into the nearest double
+// decimalToNumber('12345', -2) → 123.45
+function decimalToNumber(digits, exponent) {
+  // Drop leading zeros, they don't change the value
+  let first = 0;
+  while (first < digits.length - 1 && digits[first] === '0') {
+    first++;
+  }
+  digits = digits.slice(first);
+  
+  // Fast path: up to 15 digits and 10^22 are both exact doubles,
+  // so one multiplication or division gives the correctly rounded result
+  if (digits.length <= 15 && exponent >= -22 && exponent <= 22) {
+    let value = 0;
+    for (let i = 0; i < digits.length; i++) {
+      value = value * 10 + (digits.charCodeAt(i) - 48);
+    }
+    let power = 1;
+    for (let i = 0; i < (exponent < 0 ? -exponent : exponent); i++) {
+      power = power * 10;
+    }
+    return exponent < 0 ? value / power : value * power;
+  }
+  
+  // Longer or bigger numbers need arbitrary precision to round correctly.
+  // This is the one place that is NOT a custom implementation: the text is
+  // already validated, so the engine's parseFloat does the rounding
+  return parseFloat(digits + 'e' + exponent);
+}
+
+// Helper: Read a run of digits for a radix, returns the index after it
+function skipDigits(str, i, radix) {
+  while (i < str.length) {
+    const digit = charToDigit(str[i]);
+    if (digit === -1 || digit >= radix) {
+      break;
+    }
+    i++;
+  }
+  return i;
+}
+
+// Helper: The spec's StringToNumber grammar
+// "  12  " → 12, "" → 0, "0x1F" → 31, "0b101" → 5, "0o17" → 15,
+// "-1.5e3" → -1500, ".5" → 0.5, "Infinity" → Infinity,
+// "1_000" / "-0x10" / "12px" → NaN
+function stringToNumber(str) {
+  // Trim whitespace on both sides
+  let start = 0;
+  let end = str.length;
+  while (start < end && isWhitespace(str[start])) {
+    start++;
+  }
+  while (end > start && isWhitespace(str[end - 1])) {
+    end--;
+  }
+  if (start === end) {
+    return 0;
+  }
+  
+  // Radix prefixes (no sign allowed in front of them)
+  if (end - start > 2 && str[start] === '0') {
+    const prefix = str[start + 1];
+    const radix = prefix === 'x' || prefix === 'X' ? 16
+      : prefix === 'o' || prefix === 'O' ? 8
+      : prefix === 'b' || prefix === 'B' ? 2
+      : 0;
+    if (radix !== 0) {
+      if (skipDigits(str, start + 2, radix) !== end) {
+        return NaN;
+      }
+      let result = 0;
+      for (let i = start + 2; i < end; i++) {
+        result = result * radix + charToDigit(str[i]);
+      }
+      // Same as parseInteger: past 2^53 add the digits up exactly and round once
+      const scan = { sign: 1, radix: radix, start: start + 2, end: end };
+      return result > Number.MAX_SAFE_INTEGER ? Number(digitsToBigInt(str, scan)) : result;
+    }
+  }
+  
+  // Check sign
+  let i = start;
+  let sign = 1;
+  if (str[i] === '-') {
+    sign = -1;
+    i++;
+  } else if (str[i] === '+') {
+    i++;
+  }
+  
+  // "Infinity" (exactly, case sensitive)
+  if (str.slice(i, end) === 'Infinity') {
+    return sign * Infinity;
+  }
+  
+  // Digits, optional fraction, at least one digit in total
+  const intStart = i;
+  i = skipDigits(str, i, 10);
+  const intDigits = str.slice(intStart, i);
+  let fracDigits = '';
+  if (str[i] === '.') {
+    const fracStart = i + 1;
+    i = skipDigits(str, fracStart, 10);
+    fracDigits = str.slice(fracStart, i);
+  }
+  if (intDigits.length === 0 && fracDigits.length === 0) {
+    return NaN;
+  }
+  
+  // Optional exponent: e or E, optional sign, at least one digit
+  let exponent = 0;
+  if (str[i] === 'e' || str[i] === 'E') {
+    i++;
+    let expSign = 1;
+    if (str[i] === '-') {
+      expSign = -1;
+      i++;
+    } else if (str[i] === '+') {
+      i++;
+    }
+    const expStart = i;
+    i = skipDigits(str, i, 10);
+    if (i === expStart) {
+      return NaN;
+    }
+    for (let j = expStart; j < i; j++) {
+      // Cap it: anything this big is already 0 or Infinity
+      exponent = exponent < 1e6 ? exponent * 10 + (str.charCodeAt(j) - 48) : exponent;
+    }
+    exponent = expSign * exponent;
+  }
+  
+  // Anything left over ("12px", "1_000", "1.2.3") makes the whole string invalid
+  if (i !== end) {
+    return NaN;
+  }
+  
+  return sign * decimalToNumber(intDigits + fracDigits, exponent - fracDigits.length);
+}
+
+// Helper: ToPrimitive with hint "number" for objects
+// Symbol.toPrimitive first, then valueOf, then toString
+function toPrimitive(value) {
+  const exotic = value[Symbol.toPrimitive];
+  if (exotic !== undefined && exotic !== null) {
+    const result = exotic.call(value, 'number');
+    if (typeof result !== 'object' || result === null) {
+      return result;
+    }
+    throw new TypeError('Cannot convert object to primitive value');
+  }
+  const methods = ['valueOf', 'toString'];
+  for (let i = 0; i < methods.length; i++) {
+    const method = value[methods[i]];
+    if (typeof method === 'function') {
+      const result = method.call(value);
+      if ((typeof result !== 'object' && typeof result !== 'function') || result === null) {
+        return result;
+      }
+    }
+  }
+  throw new TypeError('Cannot convert object to primitive value');
+}
+
 // Helper: Convert value to number without using Number()
+// Follows the spec's ToNumber, so Symbols and BigInts throw a TypeError
 function toNumber(value) {
   if (typeof value === 'number') {
     return value;
@@ -127,116 +346,330 @@ function toNumber(value) {
     return value ? 1 : 0;
   }
   if (typeof value === 'string') {
-    // For radix conversion, we need a basic number parser
-    // This is a simplified version - just return NaN for non-numeric
-    let result = 0;
-    let i = 0;
-    let sign = 1;
-    
-    // Skip whitespace
-    while (i < value.length && isWhitespace(value[i])) {
-      i++;
-    }
-    
-    // Check sign
-    if (i < value.length && value[i] === '-') {
-      sign = -1;
-      i++;
-    } else if (i < value.length && value[i] === '+') {
-      i++;
-    }
-    
-    // Parse digits
-    let hasDigits = false;
-    while (i < value.length) {
-      const code = value.charCodeAt(i);
-      if (code >= 48 && code <= 57) {
-        result = result * 10 + (code - 48);
-        hasDigits = true;
-      } else {
-        break;
-      }
-      i++;
-    }
-    
-    return hasDigits ? sign * result : NaN;
+    return stringToNumber(value);
+  }
+  if (typeof value === 'symbol') {
+    throw new TypeError('Cannot convert a Symbol value to a number');
   }
-  return NaN;
+  if (typeof value === 'bigint') {
+    throw new TypeError('Cannot convert a BigInt value to a number');
+  }
+  // Objects and functions: [] → '' → 0, [5] → '5' → 5, {} → NaN
+  return toNumber(toPrimitive(value));
 }
 
 // ============================================
-// 2. CUSTOM includes(text, matchStr, index)
+// 2. CUSTOM includes / indexOf / lastIndexOf / indexOfAll
 // ============================================
 
-function includes(text, matchStr, index) {
+/*
+ * options.mode - what counts as one character (for index and results too):
+ *   'code-unit'  (default) UTF-16 code units, like native includes
+ *   'code-point' a surrogate pair is one character, a match can't start
+ *                or end in the middle of one
+ *   'grapheme'   what a reader sees as one character: '👍🏽' or '👨‍👩‍👧'
+ *                is one, so includes('👍🏽', '👍', 0, { mode: 'grapheme' }) is false
+ *
+ * SEARCH ALGORITHM (picked by pattern length m, text length n):
+ *   m = 1   plain scan, nothing to prepare
+ *   m ≤ 8   Knuth-Morris-Pratt: never reads a text character twice, O(n + m)
+ *   m > 8   Boyer-Moore-Horspool: jumps up to m characters when the last
+ *           character of the window can't be part of a match. Repetitive
+ *           text ('aaaa…' searching 'aaa…ab') makes it O(n·m), so after
+ *           4n character comparisons it hands over to KMP.
+ */
+
+function includes(text, matchStr, index, options = {}) {
+  return indexOf(text, matchStr, index, options) !== -1;
+}
+
+// First match at or after index, -1 if none
+function indexOf(text, matchStr, index, options = {}) {
   // Convert to string if not already
-  if (typeof text !== 'string') {
-    text = String(text);
-  }
-  if (typeof matchStr !== 'string') {
-    matchStr = String(matchStr);
+  text = String(text);
+  matchStr = String(matchStr);
+  
+  // Index counts characters of the mode, turn it into a code unit offset
+  const boundaries = createBoundaries(text, options.mode);
+  const start = clampIndex(toIntegerOrInfinity(index), boundaries.count());
+  
+  // Empty matchStr is found right where we start looking
+  if (matchStr.length === 0) {
+    return start;
   }
   
-  // Handle index parameter
-  if (index === undefined) {
-    index = 0;
-  } else {
-    // Convert index to number manually
-    if (typeof index === 'number') {
-      // Handle NaN
-      if (index !== index) {
-        index = 0;
-      } else {
-        // Convert to integer
-        index = index | 0;
-      }
-    } else {
-      index = 0;
-    }
+  const found = findMatch(text, matchStr, boundaries.offset(start), boundaries, false);
+  return found === -1 ? -1 : boundaries.index(found);
+}
+
+// Last match starting at or before index (default: the end), -1 if none
+function lastIndexOf(text, matchStr, index, options = {}) {
+  text = String(text);
+  matchStr = String(matchStr);
+  
+  // Missing or NaN index means "from the end"
+  const boundaries = createBoundaries(text, options.mode);
+  const position = toNumber(index);
+  const start = clampIndex(position !== position ? Infinity : toIntegerOrInfinity(position), boundaries.count());
+  
+  if (matchStr.length === 0) {
+    return start;
   }
   
-  // Handle negative index (converts to 0)
-  if (index < 0) {
-    index = 0;
+  // The match has to fit before the end of the text
+  const from = Math.min(boundaries.offset(start), text.length - matchStr.length);
+  if (from < 0) {
+    return -1;
   }
   
-  // If matchStr is empty, always return true (unless index > length)
+  const found = findMatch(text, matchStr, from, boundaries, true);
+  return found === -1 ? -1 : boundaries.index(found);
+}
+
+// Every match, in order
+// options.overlapping - also count matches inside earlier ones
+//   indexOfAll('aaaa', 'aa') → [0, 2], with overlapping → [0, 1, 2]
+// An empty matchStr is found at every position (like replaceAll)
+function indexOfAll(text, matchStr, options = {}) {
+  text = String(text);
+  matchStr = String(matchStr);
+  
+  const boundaries = createBoundaries(text, options.mode);
+  const result = [];
+  
   if (matchStr.length === 0) {
-    return index <= text.length;
+    for (let n = 0; n <= boundaries.count(); n++) {
+      result[result.length] = n;
+    }
+    return result;
   }
   
-  // If starting index is beyond text length, return false
-  if (index >= text.length) {
-    return false;
+  let from = 0;
+  while (from <= text.length - matchStr.length) {
+    const found = findMatch(text, matchStr, from, boundaries, false);
+    if (found === -1) {
+      break;
+    }
+    result[result.length] = boundaries.index(found);
+    from = options.overlapping ? found + 1 : found + matchStr.length;
   }
   
-  // Search for matchStr starting from index
-  const maxStart = text.length - matchStr.length;
-  
-  for (let i = index; i <= maxStart; i++) {
-    let found = true;
-    
-    // Check if matchStr matches at position i
-    for (let j = 0; j < matchStr.length; j++) {
-      if (text[i + j] !== matchStr[j]) {
-        found = false;
-        break;
+  return result;
+}
+
+// Helper: ToIntegerOrInfinity (NaN → 0, cuts off the fraction)
+function toIntegerOrInfinity(value) {
+  const number = toNumber(value);
+  if (number !== number) {
+    return 0;
+  }
+  return number < 0 ? -Math.floor(-number) : Math.floor(number);
+}
+
+// Helper: Keep an index between 0 and length
+function clampIndex(index, length) {
+  return index < 0 ? 0 : index > length ? length : index;
+}
+
+// Helper: Search in one direction until a match lines up with whole
+// characters of the mode (always the first candidate for code units)
+function findMatch(text, pattern, from, boundaries, backward) {
+  while (true) {
+    const found = backward ? searchBackward(text, pattern, from) : searchForward(text, pattern, from);
+    if (found === -1 || (boundaries.has(found) && boundaries.has(found + pattern.length))) {
+      return found;
+    }
+    from = backward ? found - 1 : found + 1;
+  }
+}
+
+// Patterns up to this length use KMP, longer ones Horspool
+const SHORT_PATTERN = 8;
+
+// Helper: First index ≥ from where pattern starts, -1 if none
+function searchForward(text, pattern, from) {
+  if (pattern.length === 1) {
+    const code = pattern.charCodeAt(0);
+    for (let i = from; i < text.length; i++) {
+      if (text.charCodeAt(i) === code) {
+        return i;
       }
     }
-    
-    if (found) {
-      return true;
+    return -1;
+  }
+  if (pattern.length <= SHORT_PATTERN) {
+    return kmpForward(text, pattern, from);
+  }
+  return horspoolForward(text, pattern, from);
+}
+
+// Helper: Last index ≤ from where pattern starts, -1 if none
+function searchBackward(text, pattern, from) {
+  if (pattern.length === 1) {
+    const code = pattern.charCodeAt(0);
+    for (let i = from; i >= 0; i--) {
+      if (text.charCodeAt(i) === code) {
+        return i;
+      }
+    }
+    return -1;
+  }
+  if (pattern.length <= SHORT_PATTERN) {
+    return kmpBackward(text, pattern, from);
+  }
+  return horspoolBackward(text, pattern, from);
+}
+
+// Helper: Char code of pattern read front to back, or back to front
+function codeAt(pattern, j, reversed) {
+  return pattern.charCodeAt(reversed ? pattern.length - 1 - j : j);
+}
+
+// Helper: KMP failure table
+// fail[j] = length of the longest proper prefix of pattern[0..j] that is
+// also a suffix of it, i.e. how much of a match survives a mismatch
+function kmpTable(pattern, reversed) {
+  const fail = new Int32Array(pattern.length);
+  let k = 0;
+  for (let j = 1; j < pattern.length; j++) {
+    const code = codeAt(pattern, j, reversed);
+    while (k > 0 && code !== codeAt(pattern, k, reversed)) {
+      k = fail[k - 1];
+    }
+    if (code === codeAt(pattern, k, reversed)) {
+      k++;
+    }
+    fail[j] = k;
+  }
+  return fail;
+}
+
+function kmpForward(text, pattern, from) {
+  const fail = kmpTable(pattern, false);
+  let j = 0; // characters of pattern matched so far
+  for (let i = from; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    while (j > 0 && code !== pattern.charCodeAt(j)) {
+      j = fail[j - 1];
+    }
+    if (code === pattern.charCodeAt(j)) {
+      j++;
+    }
+    if (j === pattern.length) {
+      return i - pattern.length + 1;
+    }
+  }
+  return -1;
+}
+
+// Same as kmpForward on the reversed text and pattern, without copying them
+function kmpBackward(text, pattern, from) {
+  const fail = kmpTable(pattern, true);
+  let j = 0;
+  for (let i = from + pattern.length - 1; i >= 0; i--) {
+    const code = text.charCodeAt(i);
+    while (j > 0 && code !== codeAt(pattern, j, true)) {
+      j = fail[j - 1];
+    }
+    if (code === codeAt(pattern, j, true)) {
+      j++;
     }
+    if (j === pattern.length) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function horspoolForward(text, pattern, from) {
+  const last = pattern.length - 1;
+  
+  // shift[code & 0xFF]: how far the window may move when its last character
+  // has that code. Characters sharing a slot keep the smallest shift, so a
+  // collision only costs speed, never a missed match.
+  const shift = new Int32Array(256).fill(pattern.length);
+  for (let j = 0; j < last; j++) {
+    shift[pattern.charCodeAt(j) & 0xFF] = last - j;
+  }
+  
+  const lastCode = pattern.charCodeAt(last);
+  let budget = 4 * (text.length - from);
+  let i = from;
+  while (i + last < text.length) {
+    const code = text.charCodeAt(i + last);
+    if (code === lastCode) {
+      // Compare the rest right to left
+      let j = last - 1;
+      while (j >= 0 && text.charCodeAt(i + j) === pattern.charCodeAt(j)) {
+        j--;
+      }
+      if (j < 0) {
+        return i;
+      }
+      budget -= last - j;
+      if (budget < 0) {
+        return kmpForward(text, pattern, i + 1);
+      }
+    }
+    i += shift[code & 0xFF];
+  }
+  return -1;
+}
+
+// Mirror image of horspoolForward: the window moves left, keyed on its first character
+function horspoolBackward(text, pattern, from) {
+  const shift = new Int32Array(256).fill(pattern.length);
+  for (let j = pattern.length - 1; j > 0; j--) {
+    shift[pattern.charCodeAt(j) & 0xFF] = j;
   }
   
-  return false;
+  const firstCode = pattern.charCodeAt(0);
+  let budget = 4 * (from + 1);
+  let i = from;
+  while (i >= 0) {
+    const code = text.charCodeAt(i);
+    if (code === firstCode) {
+      let j = 1;
+      while (j < pattern.length && text.charCodeAt(i + j) === pattern.charCodeAt(j)) {
+        j++;
+      }
+      if (j === pattern.length) {
+        return i;
+      }
+      budget -= j;
+      if (budget < 0) {
+        return kmpBackward(text, pattern, i - 1);
+      }
+    }
+    i -= shift[code & 0xFF];
+  }
+  return -1;
 }
 
 // ============================================
-// 3. CUSTOM split(text, divider, limit)
+// 3. CUSTOM split(text, divider, limit, options)
 // ============================================
 
-function split(text, divider, limit) {
+/*
+ * divider can be:
+ *   ','            - a string, like 'x,y'.split(',')
+ *   /\s*(;|,)\s?/  - a RegExp, capture groups are added to the result
+ *                    just like native split does
+ *   ['\r\n', '\n'] - several separators, the longest one that matches wins
+ *
+ * options.mode - what counts as one character, see includes(): 'code-unit'
+ *                (default), 'code-point' or 'grapheme'. split(text, '')
+ *                gives one item per character, and a divider only matches
+ *                whole characters: split('👍🏽👍', '👍', undefined, { mode: 'grapheme' })
+ *                → ['👍🏽', '']
+ * options.keepSeparators - put every separator found in the result, between
+ *                          the parts (for a RegExp the whole match replaces
+ *                          the capture groups)
+ *   split('1+2-3', ['+', '-'], undefined, { keepSeparators: true })
+ *   → ['1', '+', '2', '-', '3']
+ */
+
+function split(text, divider, limit, options = {}) {
   // Convert to string if not already
   if (typeof text !== 'string') {
     text = String(text);
@@ -244,98 +677,537 @@ function split(text, divider, limit) {
   
   const result = [];
   
+  // Handle limit like native split: ToUint32, so -1 means "no limit"
+  const maxItems = limit === undefined ? 4294967295 : toNumber(limit) >>> 0;
+  
+  // If limit is 0, return empty array
+  if (maxItems === 0) {
+    return result;
+  }
+  
   // Handle undefined divider - return array with whole string
   if (divider === undefined) {
     result[result.length] = text;
     return result;
   }
   
-  // Convert divider to string
-  if (typeof divider !== 'string') {
-    divider = String(divider);
+  const matchAt = createMatcher(divider);
+  
+  // A unicode RegExp never matches in the middle of a surrogate pair either
+  const mode = matchAt.unicode && options.mode === undefined ? 'code-point' : options.mode;
+  const boundaries = createBoundaries(text, mode);
+  
+  // Empty text: one empty part, unless the divider matches the empty string
+  if (text.length === 0) {
+    if (matchAt(text, 0) === null) {
+      result[result.length] = '';
+    }
+    return result;
+  }
+  
+  // Perform the split
+  // currentStart is where the current part begins, i is where we look for a divider
+  let currentStart = 0;
+  let i = 0;
+  
+  while (i < text.length) {
+    const match = matchAt(text, i);
+    
+    // No divider here, or an empty match right where the part starts
+    // (an empty divider can't make an empty part)
+    if (match === null || match.end === currentStart || !boundaries.has(match.end)) {
+      i = boundaries.next(i);
+      continue;
+    }
+    
+    // Extract substring from currentStart to i
+    result[result.length] = copyRange(text, currentStart, i);
+    if (result.length >= maxItems) {
+      return result;
+    }
+    
+    // Separator itself, or the RegExp capture groups
+    const extras = options.keepSeparators ? [copyRange(text, i, match.end)] : match.captures;
+    for (let k = 0; k < extras.length; k++) {
+      result[result.length] = extras[k];
+      if (result.length >= maxItems) {
+        return result;
+      }
+    }
+    
+    // Move past the divider
+    currentStart = match.end;
+    i = currentStart;
   }
   
-  // Handle limit
-  let hasLimit = false;
-  let maxItems = 0;
-  if (limit !== undefined) {
-    if (typeof limit === 'number') {
-      if (limit !== limit) {
-        // NaN treated as 0
-        hasLimit = true;
-        maxItems = 0;
-      } else {
-        hasLimit = true;
-        maxItems = limit < 0 ? 0 : (limit | 0);
+  // Add the remaining part
+  result[result.length] = copyRange(text, currentStart, text.length);
+  
+  return result;
+}
+
+// Helper: Build matchAt(text, i) → { end, captures } or null for a divider
+// matchAt.unicode is true for a RegExp with the u or v flag
+function createMatcher(divider) {
+  let matchAt;
+  let unicode = false;
+  
+  if (divider instanceof RegExp) {
+    // Sticky copy: exec only matches exactly at lastIndex
+    let flags = divider.flags;
+    if (!flags.includes('y')) {
+      flags = flags + 'y';
+    }
+    const splitter = new RegExp(divider.source, flags);
+    unicode = flags.includes('u') || flags.includes('v');
+    
+    matchAt = function (text, i) {
+      splitter.lastIndex = i;
+      const found = splitter.exec(text);
+      if (found === null) {
+        return null;
       }
+      const captures = [];
+      for (let k = 1; k < found.length; k++) {
+        captures[captures.length] = found[k];
+      }
+      return { end: splitter.lastIndex < text.length ? splitter.lastIndex : text.length, captures };
+    };
+  } else {
+    // One separator or a list of them; empty strings in a list are skipped,
+    // an empty string on its own splits every character
+    const separators = [];
+    if (Array.isArray(divider)) {
+      for (let k = 0; k < divider.length; k++) {
+        const separator = String(divider[k]);
+        if (separator.length > 0) {
+          separators[separators.length] = separator;
+        }
+      }
+    } else {
+      separators[0] = String(divider);
     }
+    
+    matchAt = function (text, i) {
+      let end = -1;
+      for (let k = 0; k < separators.length; k++) {
+        const separator = separators[k];
+        if (i + separator.length > text.length || i + separator.length <= end) {
+          continue;
+        }
+        
+        // Check if divider matches at position i
+        let matches = true;
+        for (let j = 0; j < separator.length; j++) {
+          if (text[i + j] !== separator[j]) {
+            matches = false;
+            break;
+          }
+        }
+        if (matches) {
+          end = i + separator.length;
+        }
+      }
+      return end === -1 ? null : { end, captures: [] };
+    };
   }
   
-  // If limit is 0, return empty array
-  if (hasLimit && maxItems === 0) {
-    return result;
+  matchAt.unicode = unicode;
+  return matchAt;
+}
+
+// Helper: Where characters start and end in text, for options.mode
+// offset(n) - code unit offset of the nth character
+// index(i)  - which character starts at offset i (the reverse of offset)
+// next(i)   - offset of the character after the one at i
+// has(i)    - does a character start (or the text end) at i?
+// count()   - number of characters
+function createBoundaries(text, mode = 'code-unit') {
+  // Code units: every offset is a boundary, nothing to compute
+  if (mode === 'code-unit') {
+    return {
+      offset: n => n,
+      index: i => i,
+      next: i => i + 1,
+      has: i => i >= 0 && i <= text.length,
+      count: () => text.length
+    };
+  }
+  if (mode !== 'code-point' && mode !== 'grapheme') {
+    throw new RangeError(`Unknown mode: ${mode}`);
   }
   
-  // Handle empty string divider - split every character
-  if (divider.length === 0) {
+  // starts[n] is where the nth character starts, the last entry is text.length
+  const starts = [];
+  if (mode === 'grapheme') {
+    // Grapheme clusters follow Unicode's segmentation rules (emoji sequences,
+    // flags, combining marks, Hangul), which Intl.Segmenter already implements
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    for (const segment of segmenter.segment(text)) {
+      starts[starts.length] = segment.index;
+    }
+  } else {
     for (let i = 0; i < text.length; i++) {
-      if (hasLimit && result.length >= maxItems) {
-        break;
+      starts[starts.length] = i;
+      const code = text.charCodeAt(i);
+      const next = text.charCodeAt(i + 1);
+      if (code >= 0xD800 && code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF) {
+        i++;
       }
-      result[result.length] = text[i];
     }
-    return result;
   }
+  starts[starts.length] = text.length;
   
-  // Handle empty text
-  if (text.length === 0) {
-    result[result.length] = '';
-    return result;
+  // Offset → character number, for the boundaries only
+  const position = new Map();
+  for (let n = 0; n < starts.length; n++) {
+    position.set(starts[n], n);
   }
   
-  // Perform the split
-  let currentStart = 0;
-  let i = 0;
-  
-  while (i <= text.length - divider.length) {
-    // Check if divider matches at position i
-    let matches = true;
-    for (let j = 0; j < divider.length; j++) {
-      if (text[i + j] !== divider[j]) {
-        matches = false;
-        break;
+  return {
+    offset: n => (n < starts.length ? starts[n] : text.length + 1),
+    next: i => {
+      // i is always a boundary when we step from it, but stay safe
+      let n = position.get(i);
+      if (n === undefined) {
+        n = 0;
+        while (n < starts.length && starts[n] <= i) {
+          n++;
+        }
+        return n < starts.length ? starts[n] : text.length + 1;
       }
+      return n + 1 < starts.length ? starts[n + 1] : text.length + 1;
+    },
+    index: i => position.get(i),
+    has: i => position.has(i),
+    count: () => starts.length - 1
+  };
+}
+
+// Helper: text from start up to (not including) end
+function copyRange(text, start, end) {
+  let part = '';
+  for (let k = start; k < end; k++) {
+    part = part + text[k];
+  }
+  return part;
+}
+
+// ============================================
+// 4. CUSTOM padStart, padEnd, repeat, trim, trimStart, trimEnd,
+//    startsWith, endsWith, replaceAll, at, slice, substring, localeCompare
+// ============================================
+// Same edge cases as the String.prototype versions: text plays the
+// part of "this", so null/undefined throw and anything else is converted.
+
+// V8 can't build a string longer than this, native throws a RangeError too
+const MAX_STRING_LENGTH = 2 ** 29 - 24;
+
+// Helper: RequireObjectCoercible + ToString for the "this" string
+function thisString(text, method) {
+  if (text === null || text === undefined) {
+    throw new TypeError(`String.prototype.${method} called on null or undefined`);
+  }
+  return `${text}`;
+}
+
+// Helper: ToLength (NaN and negatives → 0, at most 2^53 - 1)
+function toLength(value) {
+  const length = toIntegerOrInfinity(value);
+  return length <= 0 ? 0 : length > Number.MAX_SAFE_INTEGER ? Number.MAX_SAFE_INTEGER : length;
+}
+
+// Helper: IsRegExp - Symbol.match decides, so regex-like objects count too
+function isRegExp(value) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    return false;
+  }
+  const matcher = value[Symbol.match];
+  if (matcher !== undefined) {
+    return Boolean(matcher);
+  }
+  return value instanceof RegExp;
+}
+
+// Helper: Fill up to length characters by repeating filler (last copy cut off)
+function fillTo(filler, length) {
+  let fill = '';
+  while (fill.length + filler.length <= length) {
+    fill = fill + filler;
+  }
+  return fill + copyRange(filler, 0, length - fill.length);
+}
+
+// Helper: padStart/padEnd without the side
+function padding(text, maxLength, fillString, method) {
+  text = thisString(text, method);
+  const length = toLength(maxLength);
+  if (length <= text.length) {
+    return '';
+  }
+  const filler = fillString === undefined ? ' ' : `${fillString}`;
+  if (filler.length === 0) {
+    return '';
+  }
+  if (length > MAX_STRING_LENGTH) {
+    throw new RangeError('Invalid string length');
+  }
+  return fillTo(filler, length - text.length);
+}
+
+function padStart(text, maxLength, fillString) {
+  return padding(text, maxLength, fillString, 'padStart') + thisString(text, 'padStart');
+}
+
+function padEnd(text, maxLength, fillString) {
+  return thisString(text, 'padEnd') + padding(text, maxLength, fillString, 'padEnd');
+}
+
+function repeat(text, count) {
+  text = thisString(text, 'repeat');
+  const times = toIntegerOrInfinity(count);
+  if (times < 0 || times === Infinity) {
+    throw new RangeError(`Invalid count value: ${times}`);
+  }
+  if (times === 0 || text.length === 0) {
+    return '';
+  }
+  if (text.length * times > MAX_STRING_LENGTH) {
+    throw new RangeError('Invalid string length');
+  }
+  
+  // Double the copy instead of adding one at a time: log2(times) steps
+  let result = '';
+  let copy = text;
+  let left = times;
+  while (left > 0) {
+    if (left % 2 === 1) {
+      result = result + copy;
     }
-    
-    if (matches) {
-      // Extract substring from currentStart to i
-      let part = '';
-      for (let k = currentStart; k < i; k++) {
-        part = part + text[k];
-      }
-      result[result.length] = part;
-      
-      // Check limit
-      if (hasLimit && result.length >= maxItems) {
-        return result;
-      }
-      
-      // Move past the divider
-      i = i + divider.length;
-      currentStart = i;
-    } else {
+    left = Math.floor(left / 2);
+    if (left > 0) {
+      copy = copy + copy;
+    }
+  }
+  return result;
+}
+
+// Helper: trim one or both sides, same whitespace set as parseInteger/toNumber
+function trimSides(text, start, end, method) {
+  text = thisString(text, method);
+  let from = 0;
+  let to = text.length;
+  while (start && from < to && isWhitespace(text[from])) {
+    from++;
+  }
+  while (end && to > from && isWhitespace(text[to - 1])) {
+    to--;
+  }
+  return copyRange(text, from, to);
+}
+
+function trim(text) {
+  return trimSides(text, true, true, 'trim');
+}
+
+function trimStart(text) {
+  return trimSides(text, true, false, 'trimStart');
+}
+
+function trimEnd(text) {
+  return trimSides(text, false, true, 'trimEnd');
+}
+
+// Helper: Does search appear in text exactly at offset?
+function matchesAt(text, search, offset) {
+  if (offset < 0 || offset + search.length > text.length) {
+    return false;
+  }
+  for (let j = 0; j < search.length; j++) {
+    if (text.charCodeAt(offset + j) !== search.charCodeAt(j)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function startsWith(text, searchString, position) {
+  text = thisString(text, 'startsWith');
+  if (isRegExp(searchString)) {
+    throw new TypeError('First argument to String.prototype.startsWith must not be a regular expression');
+  }
+  const search = `${searchString}`;
+  const start = clampIndex(toIntegerOrInfinity(position), text.length);
+  return matchesAt(text, search, start);
+}
+
+function endsWith(text, searchString, endPosition) {
+  text = thisString(text, 'endsWith');
+  if (isRegExp(searchString)) {
+    throw new TypeError('First argument to String.prototype.endsWith must not be a regular expression');
+  }
+  const search = `${searchString}`;
+  const end = endPosition === undefined ? text.length : clampIndex(toIntegerOrInfinity(endPosition), text.length);
+  return matchesAt(text, search, end - search.length);
+}
+
+// Helper: Expand $$, $&, $` and $' in a replacement string
+// (a string search has no capture groups, so $1 and $<name> stay as they are)
+function substitute(replacement, matched, position, text) {
+  let result = '';
+  for (let i = 0; i < replacement.length; i++) {
+    const next = replacement[i + 1];
+    if (replacement[i] !== '$' || next === undefined) {
+      result = result + replacement[i];
+    } else if (next === '$') {
+      result = result + '$';
       i++;
+    } else if (next === '&') {
+      result = result + matched;
+      i++;
+    } else if (next === '`') {
+      result = result + copyRange(text, 0, position);
+      i++;
+    } else if (next === "'") {
+      result = result + copyRange(text, position + matched.length, text.length);
+      i++;
+    } else {
+      result = result + '$';
     }
   }
+  return result;
+}
+
+function replaceAll(text, searchValue, replaceValue) {
+  if (text === null || text === undefined) {
+    throw new TypeError('String.prototype.replaceAll called on null or undefined');
+  }
   
-  // Add the remaining part
-  let lastPart = '';
-  for (let k = currentStart; k < text.length; k++) {
-    lastPart = lastPart + text[k];
+  // A RegExp does its own replacing, but only a global one is allowed here
+  if (searchValue !== null && searchValue !== undefined) {
+    if (isRegExp(searchValue)) {
+      const flags = `${searchValue.flags}`;
+      if (!flags.includes('g')) {
+        throw new TypeError('replaceAll must be called with a global RegExp');
+      }
+    }
+    const replacer = searchValue[Symbol.replace];
+    if (replacer !== undefined && replacer !== null) {
+      return replacer.call(searchValue, text, replaceValue);
+    }
   }
-  result[result.length] = lastPart;
   
-  return result;
+  text = `${text}`;
+  const search = `${searchValue}`;
+  const functional = typeof replaceValue === 'function';
+  const replacement = functional ? null : `${replaceValue}`;
+  
+  // An empty search matches between every two code units (and at both ends)
+  const positions = indexOfAll(text, search);
+  let result = '';
+  let end = 0;
+  for (let k = 0; k < positions.length; k++) {
+    const position = positions[k];
+    result = result + copyRange(text, end, position);
+    result = result + (functional
+      ? `${replaceValue(search, position, text)}`
+      : substitute(replacement, search, position, text));
+    end = position + search.length;
+  }
+  return result + copyRange(text, end, text.length);
+}
+
+function at(text, index) {
+  text = thisString(text, 'at');
+  const relative = toIntegerOrInfinity(index);
+  const k = relative >= 0 ? relative : text.length + relative;
+  if (k < 0 || k >= text.length) {
+    return undefined;
+  }
+  return text[k];
+}
+
+// Helper: Relative index → offset, negatives count from the end
+function relativeIndex(index, length) {
+  const relative = toIntegerOrInfinity(index);
+  return relative < 0 ? Math.max(length + relative, 0) : Math.min(relative, length);
+}
+
+function slice(text, start, end) {
+  text = thisString(text, 'slice');
+  const from = relativeIndex(start, text.length);
+  const to = end === undefined ? text.length : relativeIndex(end, text.length);
+  return from < to ? copyRange(text, from, to) : '';
+}
+
+function substring(text, start, end) {
+  text = thisString(text, 'substring');
+  const from = clampIndex(toIntegerOrInfinity(start), text.length);
+  const to = end === undefined ? text.length : clampIndex(toIntegerOrInfinity(end), text.length);
+  // Arguments in the wrong order are swapped
+  return from < to ? copyRange(text, from, to) : copyRange(text, to, from);
+}
+
+/*
+ * BASIC localeCompare (returns -1, 0 or 1)
+ *
+ * Compares like the default Unicode collation, one level at a time:
+ *   1. base letters, ignoring case and accents   'a' < 'B' < 'c'
+ *      (spaces < punctuation < digits < letters)
+ *   2. accents                                   'resume' < 'résumé'
+ *   3. case, lowercase first                     'a' < 'A'
+ *
+ * Letters and digits match native for Latin text. No locale tailoring,
+ * and punctuation is ordered by code point, so e.g. '_' vs '-' may differ.
+ */
+
+function localeCompare(text, that) {
+  text = thisString(text, 'localeCompare');
+  const a = collationElements(text);
+  const b = collationElements(`${that}`);
+  
+  const levels = ['primary', 'secondary', 'tertiary'];
+  for (let level = 0; level < levels.length; level++) {
+    const key = levels[level];
+    for (let k = 0; k < a.length && k < b.length; k++) {
+      if (a[k][key] !== b[k][key]) {
+        return a[k][key] < b[k][key] ? -1 : 1;
+      }
+    }
+    if (a.length !== b.length) {
+      return a.length < b.length ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+// Helper: One { primary, secondary, tertiary } per base character
+// NFD splits 'é' into 'e' + U+0301, so the accent lands in secondary
+function collationElements(text) {
+  const decomposed = text.normalize('NFD');
+  const elements = [];
+  for (let i = 0; i < decomposed.length; i++) {
+    const char = decomposed[i];
+    const code = decomposed.charCodeAt(i);
+  
+    // Combining marks belong to the character before them
+    if (code >= 0x0300 && code <= 0x036F && elements.length > 0) {
+      elements[elements.length - 1].secondary += char;
+      continue;
+    }
+  
+    const lower = char.toLowerCase();
+    const group = isWhitespace(char) ? 0
+      : /\p{N}/u.test(char) ? 2
+      : /\p{L}/u.test(char) ? 3
+      : 1; // punctuation and symbols
+    elements[elements.length] = {
+      primary: group * 0x10000 + lower.charCodeAt(0),
+      secondary: '',
+      tertiary: lower === char ? 0 : 1
+    };
+  }
+  return elements;
 }
 
 // ============================================
@@ -402,6 +1274,24 @@ console.log("Native 'abcabc'.includes('abc', 1):", 'abcabc'.includes('abc', 1));
 console.log("\nincludes('hello', '', 10):", includes('hello', '', 10));
 console.log("Native 'hello'.includes('', 10):", 'hello'.includes('', 10));
 
+console.log("\nincludes('say hello to everyone in the channel', 'everyone in the'):", includes('say hello to everyone in the channel', 'everyone in the'));
+console.log("Native includes:", 'say hello to everyone in the channel'.includes('everyone in the'));
+
+console.log("\nindexOf('abcabc', 'bc', 2):", indexOf('abcabc', 'bc', 2));
+console.log("Native 'abcabc'.indexOf('bc', 2):", 'abcabc'.indexOf('bc', 2));
+
+console.log("\nlastIndexOf('abcabc', 'bc'):", lastIndexOf('abcabc', 'bc'));
+console.log("Native 'abcabc'.lastIndexOf('bc'):", 'abcabc'.lastIndexOf('bc'));
+
+console.log("\nlastIndexOf('abcabc', 'bc', 3):", lastIndexOf('abcabc', 'bc', 3));
+console.log("Native 'abcabc'.lastIndexOf('bc', 3):", 'abcabc'.lastIndexOf('bc', 3));
+
+console.log("\nindexOfAll('aaaa', 'aa'):", indexOfAll('aaaa', 'aa'));
+console.log("Native [...'aaaa'.matchAll(/aa/g)]:", [...'aaaa'.matchAll(/aa/g)].map(match => match.index));
+
+console.log("\nindexOfAll('aaaa', 'aa', { overlapping: true }):", indexOfAll('aaaa', 'aa', { overlapping: true }));
+console.log("Native [...'aaaa'.matchAll(/(?=aa)/g)]:", [...'aaaa'.matchAll(/(?=aa)/g)].map(match => match.index));
+
 console.log("\n--- TEST 3: split ---\n");
 
 // Basic tests
@@ -435,6 +1325,108 @@ console.log("Native 'hello'.split('', 3):", 'hello'.split('', 3));
 console.log("\nsplit('a::b::c', '::'):", split('a::b::c', '::'));
 console.log("Native 'a::b::c'.split('::'):", 'a::b::c'.split('::'));
 
+console.log("\nsplit('a1b22c', /\\d+/):", split('a1b22c', /\d+/));
+console.log("Native 'a1b22c'.split(/\\d+/):", 'a1b22c'.split(/\d+/));
+
+console.log("\nsplit('a; b,c', /\\s*(;|,)\\s*/):", split('a; b,c', /\s*(;|,)\s*/));
+console.log("Native 'a; b,c'.split(/\\s*(;|,)\\s*/):", 'a; b,c'.split(/\s*(;|,)\s*/));
+
+console.log("\nsplit('<b>bold</b>', /<(\\/)?([^<>]+)>/):", split('<b>bold</b>', /<(\/)?([^<>]+)>/));
+console.log("Native '<b>bold</b>'.split(/<(\\/)?([^<>]+)>/):", '<b>bold</b>'.split(/<(\/)?([^<>]+)>/));
+
+console.log("\nsplit('x😀y', /(?:)/u):", split('x😀y', /(?:)/u));
+console.log("Native 'x😀y'.split(/(?:)/u):", 'x😀y'.split(/(?:)/u));
+
+console.log("\nsplit('a,b,c', ',', -1):", split('a,b,c', ',', -1));
+console.log("Native 'a,b,c'.split(',', -1):", 'a,b,c'.split(',', -1));
+
+console.log("\nsplit('a\\r\\nb\\nc', ['\\n', '\\r\\n']):", split('a\r\nb\nc', ['\n', '\r\n']));
+console.log("Native 'a\\r\\nb\\nc'.split(/\\r\\n|\\n/):", 'a\r\nb\nc'.split(/\r\n|\n/));
+
+console.log("\nsplit('1+2-3', ['+', '-'], undefined, { keepSeparators: true }):", split('1+2-3', ['+', '-'], undefined, { keepSeparators: true }));
+console.log("Native '1+2-3'.split(/([+-])/):", '1+2-3'.split(/([+-])/));
+
+console.log("\n--- TEST 4: more String methods (custom vs native) ---\n");
+
+// Helper function to display test results (same as InvalidArgs.js)
+function test(testName, actual, expected) {
+  const passed = JSON.stringify(actual) === JSON.stringify(expected);
+  const status = passed ? "✅ PASS" : "❌ FAIL";
+  console.log(`${status} - ${testName}`);
+  if (!passed) {
+    console.log(`   Expected: ${JSON.stringify(expected)}`);
+    console.log(`   Got: ${JSON.stringify(actual)}`);
+  }
+}
+
+// Helper to test that custom and native throw the same kind of error
+function testThrows(testName, customFn, nativeFn) {
+  const errorName = fn => {
+    try {
+      fn();
+    } catch (e) {
+      return e.name;
+    }
+    return 'no error';
+  };
+  test(testName, errorName(customFn), errorName(nativeFn));
+}
+
+test("padStart('5', 3, '0')", padStart('5', 3, '0'), '5'.padStart(3, '0'));
+test("padStart('abc', 10, '123')", padStart('abc', 10, '123'), 'abc'.padStart(10, '123'));
+test("padStart('abc', 6)", padStart('abc', 6), 'abc'.padStart(6));
+test("padStart('abc', 6, '')", padStart('abc', 6, ''), 'abc'.padStart(6, ''));
+test("padStart('abc', -1)", padStart('abc', -1), 'abc'.padStart(-1));
+test("padEnd('abc', 8, 'xy')", padEnd('abc', 8, 'xy'), 'abc'.padEnd(8, 'xy'));
+test("padEnd('abc', '5', null)", padEnd('abc', '5', null), 'abc'.padEnd('5', null));
+testThrows("padEnd('a', 2 ** 30)", () => padEnd('a', 2 ** 30), () => 'a'.padEnd(2 ** 30));
+
+test("repeat('ab', 3)", repeat('ab', 3), 'ab'.repeat(3));
+test("repeat('ab', 0)", repeat('ab', 0), 'ab'.repeat(0));
+test("repeat('ab', 2.9)", repeat('ab', 2.9), 'ab'.repeat(2.9));
+test("repeat('', 1e9)", repeat('', 1e9), ''.repeat(1e9));
+testThrows("repeat('ab', -1)", () => repeat('ab', -1), () => 'ab'.repeat(-1));
+testThrows("repeat('ab', Infinity)", () => repeat('ab', Infinity), () => 'ab'.repeat(Infinity));
+
+test("trim('\\u00A0 hi \\n')", trim('\u00A0 hi \n'), '\u00A0 hi \n'.trim());
+test("trimStart('\\uFEFF\\t hi ')", trimStart('\uFEFF\t hi '), '\uFEFF\t hi '.trimStart());
+test("trimEnd(' hi \\u3000\\u2028')", trimEnd(' hi \u3000\u2028'), ' hi \u3000\u2028'.trimEnd());
+test("trim('\\u0085x\\u0085')", trim('\u0085x\u0085'), '\u0085x\u0085'.trim());
+
+test("startsWith('hello', 'ell', 1)", startsWith('hello', 'ell', 1), 'hello'.startsWith('ell', 1));
+test("startsWith('hello', '', 99)", startsWith('hello', '', 99), 'hello'.startsWith('', 99));
+test("startsWith('null value', null)", startsWith('null value', null), 'null value'.startsWith(null));
+test("endsWith('hello', 'hell', 4)", endsWith('hello', 'hell', 4), 'hello'.endsWith('hell', 4));
+test("endsWith('hello', 'o', -1)", endsWith('hello', 'o', -1), 'hello'.endsWith('o', -1));
+testThrows("startsWith('abc', /a/)", () => startsWith('abc', /a/), () => 'abc'.startsWith(/a/));
+testThrows("endsWith(null, 'a')", () => endsWith(null, 'a'), () => String.prototype.endsWith.call(null, 'a'));
+
+test("replaceAll('a.b.c', '.', '-')", replaceAll('a.b.c', '.', '-'), 'a.b.c'.replaceAll('.', '-'));
+test("replaceAll('abc', '', '_')", replaceAll('abc', '', '_'), 'abc'.replaceAll('', '_'));
+test("replaceAll('x-y', '-', '[$`|$&|$\\'|$$|$1]')", replaceAll('x-y', '-', "[$`|$&|$'|$$|$1]"), 'x-y'.replaceAll('-', "[$`|$&|$'|$$|$1]"));
+test("replaceAll('aaa', 'a', (m, i) => i)", replaceAll('aaa', 'a', (m, i) => i), 'aaa'.replaceAll('a', (m, i) => i));
+test("replaceAll('a1b22', /\\d+/g, '#')", replaceAll('a1b22', /\d+/g, '#'), 'a1b22'.replaceAll(/\d+/g, '#'));
+testThrows("replaceAll('a1b22', /\\d+/, '#')", () => replaceAll('a1b22', /\d+/, '#'), () => 'a1b22'.replaceAll(/\d+/, '#'));
+
+test("at('hello', -1)", at('hello', -1), 'hello'.at(-1));
+test("at('hello', 5)", at('hello', 5), 'hello'.at(5));
+test("at('hello', '1')", at('hello', '1'), 'hello'.at('1'));
+test("at('hello', NaN)", at('hello', NaN), 'hello'.at(NaN));
+
+test("slice('hello world', -5)", slice('hello world', -5), 'hello world'.slice(-5));
+test("slice('hello world', 3, -3)", slice('hello world', 3, -3), 'hello world'.slice(3, -3));
+test("slice('hello', 4, 1)", slice('hello', 4, 1), 'hello'.slice(4, 1));
+test("substring('hello', 4, 1)", substring('hello', 4, 1), 'hello'.substring(4, 1));
+test("substring('hello', -3, 2)", substring('hello', -3, 2), 'hello'.substring(-3, 2));
+test("substring('hello', NaN, Infinity)", substring('hello', NaN, Infinity), 'hello'.substring(NaN, Infinity));
+
+test("localeCompare('a', 'B')", localeCompare('a', 'B'), 'a'.localeCompare('B'));
+test("localeCompare('a', 'A')", localeCompare('a', 'A'), 'a'.localeCompare('A'));
+test("localeCompare('résumé', 'resume')", localeCompare('résumé', 'resume'), 'résumé'.localeCompare('resume'));
+test("localeCompare('A', 'á')", localeCompare('A', 'á'), 'A'.localeCompare('á'));
+test("localeCompare('10', '9')", localeCompare('10', '9'), '10'.localeCompare('9'));
+test("localeCompare('\\u212B', '\\u00C5')", localeCompare('Å', 'Å'), 'Å'.localeCompare('Å'));
+
 // ============================================
 // EDGE CASE TESTS
 // ============================================
@@ -450,12 +1442,122 @@ console.log("Native parseInt('  -0  '):", parseInt('  -0  '));
 console.log("\nparseInteger('0x10'):", parseInteger('0x10'));
 console.log("Native parseInt('0x10'):", parseInt('0x10'));
 
+console.log("\nparseInteger('10', '0x10'):", parseInteger('10', '0x10'));
+console.log("Native parseInt('10', '0x10'):", parseInt('10', '0x10'));
+
+console.log("\nparseInteger('0x1F', 10):", parseInteger('0x1F', 10));
+console.log("Native parseInt('0x1F', 10):", parseInt('0x1F', 10));
+
+console.log("\nparseInteger('10', 37):", parseInteger('10', 37));
+console.log("Native parseInt('10', 37):", parseInt('10', 37));
+
+console.log("\nparseInteger('\\u00A0 12'):", parseInteger('\u00A0 12'));
+console.log("Native parseInt('\\u00A0 12'):", parseInt('\u00A0 12'));
+
+console.log("\nparseInteger('12345678901234567890123'):", parseInteger('12345678901234567890123'));
+console.log("Native parseInt('12345678901234567890123'):", parseInt('12345678901234567890123'));
+
+console.log("\nparseInteger('0ce79e22432ccc49931b7', 16):", parseInteger('0ce79e22432ccc49931b7', 16));
+console.log("Native parseInt('0ce79e22432ccc49931b7', 16):", parseInt('0ce79e22432ccc49931b7', 16));
+
+console.log("\ntoNumber('1e3'):", toNumber('1e3'));
+console.log("Native Number('1e3'):", Number('1e3'));
+
+console.log("\ntoNumber(' 0b101 '):", toNumber(' 0b101 '));
+console.log("Native Number(' 0b101 '):", Number(' 0b101 '));
+
+console.log("\ntoNumber('0o17'):", toNumber('0o17'));
+console.log("Native Number('0o17'):", Number('0o17'));
+
+console.log("\ntoNumber('0x54eb535201958a43'):", toNumber('0x54eb535201958a43'));
+console.log("Native Number('0x54eb535201958a43'):", Number('0x54eb535201958a43'));
+
+console.log("\ntoNumber('-0x10'):", toNumber('-0x10'));
+console.log("Native Number('-0x10'):", Number('-0x10'));
+
+console.log("\ntoNumber('-Infinity'):", toNumber('-Infinity'));
+console.log("Native Number('-Infinity'):", Number('-Infinity'));
+
+console.log("\ntoNumber('.5'):", toNumber('.5'));
+console.log("Native Number('.5'):", Number('.5'));
+
+console.log("\ntoNumber('1_000'):", toNumber('1_000'));
+console.log("Native Number('1_000'):", Number('1_000'));
+
+console.log("\ntoNumber('\\u00A0 42 \\u2028'):", toNumber('\u00A0 42 \u2028'));
+console.log("Native Number('\\u00A0 42 \\u2028'):", Number('\u00A0 42 \u2028'));
+
+console.log("\ntoNumber('0.1e-6'):", toNumber('0.1e-6'));
+console.log("Native Number('0.1e-6'):", Number('0.1e-6'));
+
+console.log("\nisWhitespace('\\u3000'), isWhitespace('\\uFEFF'):", isWhitespace('\u3000'), isWhitespace('\uFEFF'));
+console.log("Native '\\u3000'.trim(), '\\uFEFF'.trim():", JSON.stringify('\u3000'.trim()), JSON.stringify('\uFEFF'.trim()));
+
+console.log("\nisWhitespace('\\u0085'), isWhitespace('\\u0085', 'unicode'):", isWhitespace('\u0085'), isWhitespace('\u0085', 'unicode'));
+console.log("Native /\\s/.test('\\u0085'), /\\p{White_Space}/u.test('\\u0085'):", /\s/.test('\u0085'), /\p{White_Space}/u.test('\u0085'));
+
+console.log("\nisWhitespace('\\u001C', 'unicode'):", isWhitespace('\u001C', 'unicode'));
+console.log("Native /\\p{White_Space}/u.test('\\u001C'):", /\p{White_Space}/u.test('\u001C'));
+
+console.log("\ntoNumber([5]):", toNumber([5]));
+console.log("Native Number([5]):", Number([5]));
+
+console.log("\nparseInteger('12345678901234567890', 10, { bigint: true }):", parseInteger('12345678901234567890', 10, { bigint: true }));
+console.log("Native BigInt('12345678901234567890'):", BigInt('12345678901234567890'));
+
+console.log("\nparseInteger('-0x20000000000001', 16, { bigint: true }):", parseInteger('-0x20000000000001', 16, { bigint: true }));
+console.log("Native -BigInt('0x20000000000001'):", -BigInt('0x20000000000001'));
+
+console.log("\nparseInteger('255', 10, { bigint: true }):", parseInteger('255', 10, { bigint: true }));
+console.log("Native parseInt('255', 10):", parseInt('255', 10));
+
+console.log("\nparseBigInt('0xffffffffffffffffffff'):", parseBigInt('0xffffffffffffffffffff'));
+console.log("Native BigInt('0xffffffffffffffffffff'):", BigInt('0xffffffffffffffffffff'));
+
+console.log("\nparseBigInt('zzzzzzzzzzzzzz', 36):", parseBigInt('zzzzzzzzzzzzzz', 36));
+console.log("Native 36n ** 14n - 1n:", 36n ** 14n - 1n);
+
+console.log("\nparseBigInt(' 1175928471002942264 (id)'):", parseBigInt(' 1175928471002942264 (id)'));
+console.log("Native BigInt('1175928471002942264'):", BigInt('1175928471002942264'));
+
+try {
+  parseBigInt('abc');
+} catch (error) {
+  console.log("\nparseBigInt('abc'):", error.name, error.message);
+}
+try {
+  BigInt('abc');
+} catch (error) {
+  console.log("Native BigInt('abc'):", error.name, error.message);
+}
+
 console.log("\nincludes('', '', 0):", includes('', '', 0));
 console.log("Native ''.includes('', 0):", ''.includes('', 0));
 
 console.log("\nincludes('abc', 'abc', -1):", includes('abc', 'abc', -1));
 console.log("Native 'abc'.includes('abc', -1):", 'abc'.includes('abc', -1));
 
+console.log("\nsplit('a😀b', ''):", split('a😀b', ''));
+console.log("Native 'a😀b'.split(''):", 'a😀b'.split(''));
+
+console.log("\nsplit('a😀b', '', undefined, { mode: 'code-point' }):", split('a😀b', '', undefined, { mode: 'code-point' }));
+console.log("Native [...'a😀b']:", [...'a😀b']);
+
+console.log("\nsplit('👍🏽👨‍👩‍👧🇺🇸', '', undefined, { mode: 'grapheme' }):", split('👍🏽👨‍👩‍👧🇺🇸', '', undefined, { mode: 'grapheme' }));
+console.log("Native Intl.Segmenter:", Array.from(new Intl.Segmenter().segment('👍🏽👨‍👩‍👧🇺🇸'), s => s.segment));
+
+console.log("\nsplit('👍🏽👍', '👍', undefined, { mode: 'grapheme' }):", split('👍🏽👍', '👍', undefined, { mode: 'grapheme' }));
+console.log("Native '👍🏽👍'.split('👍'):", '👍🏽👍'.split('👍'));
+
+console.log("\nincludes('👍🏽', '👍', 0, { mode: 'grapheme' }):", includes('👍🏽', '👍', 0, { mode: 'grapheme' }));
+console.log("Native '👍🏽'.includes('👍'):", '👍🏽'.includes('👍'));
+
+console.log("\nincludes('😀b', 'b', 1, { mode: 'code-point' }):", includes('😀b', 'b', 1, { mode: 'code-point' }));
+console.log("Native [...'😀b'].slice(1).join('').includes('b'):", [...'😀b'].slice(1).join('').includes('b'));
+
+console.log("\nsplit('test', undefined, 0):", split('test', undefined, 0));
+console.log("Native 'test'.split(undefined, 0):", 'test'.split(undefined, 0));
+
 console.log("\nsplit('test', '', 0):", split('test', '', 0));
 console.log("Native 'test'.split('', 0):", 'test'.split('', 0));
 
@@ -463,3 +1565,42 @@ console.log("\nsplit('aaaaa', 'aa'):", split('aaaaa', 'aa'));
 console.log("Native 'aaaaa'.split('aa'):", 'aaaaa'.split('aa'));
 
 console.log("\n=== ALL TESTS COMPLETED ===");
+
+// ============================================
+// BENCHMARK: node Task8.js --bench
+// ============================================
+// Custom includes against native on a large chat-log-like text,
+// for each search algorithm and for the worst case of Horspool.
+
+function benchmarkIncludes() {
+  const words = ['hello', 'thanks', '<@Alice />', 'sent', '500', 'USDT', ':star:', 'for', 'the', 'review', '🎉'];
+  let text = '';
+  for (let i = 0; text.length < 2000000; i++) {
+    text = text + words[(i * 7 + (i >> 3)) % words.length] + (i % 13 === 0 ? '\n' : ' ');
+  }
+  
+  const cases = [
+    ['1 char (scan)', text, '#'],
+    ['5 chars (KMP)', text, 'thanx'],
+    ['27 chars (Horspool)', text, 'thanks <@Bob /> for review'],
+    ['worst case (Horspool → KMP)', 'a'.repeat(2000000), 'a'.repeat(40) + 'b']
+  ];
+  
+  console.log("\n--- BENCHMARK: includes, 20 runs on " + text.length + " characters ---\n");
+  for (const [name, haystack, pattern] of cases) {
+    const timeIt = search => {
+      const started = process.hrtime.bigint();
+      for (let run = 0; run < 20; run++) {
+        search(haystack, pattern);
+      }
+      return Number(process.hrtime.bigint() - started) / 1e6;
+    };
+    const custom = timeIt((haystack, pattern) => includes(haystack, pattern));
+    const native = timeIt((haystack, pattern) => haystack.includes(pattern));
+    console.log(name + ": custom " + custom.toFixed(1) + " ms, native " + native.toFixed(1) + " ms");
+  }
+}
+
+if (process.argv.includes('--bench')) {
+  benchmarkIncludes();
+}
@@ -0,0 +1,94 @@
+// ============================================
+// USER DIRECTORY FOR MENTION RESOLUTION
+// ============================================
+// Chat platforms mention people by ID (<@U123ABC>) and nicknames change,
+// so parsers look mentions up here instead of using the display name.
+
+const fs = require('fs');
+const { mentionKey } = require('./MessageTokenizer.js');
+
+/*
+ * DIRECTORY FILE (JSON):
+ *
+ * [
+ *   { "id": "U123ABC", "name": "Alice", "aliases": ["Ali", "alice.w"], "wallet": "0xA1..." },
+ *   { "id": "U456DEF", "name": "Bob" }
+ * ]
+ *
+ * or { "users": [ ... ] }. Any extra fields (wallet, email, ...) are kept
+ * on the record. Lookups ignore case and spaces, so "<@alice />",
+ * "<@ALICE />", "<@Ali />" and "<@U123ABC>" all find the same record.
+ */
+
+class UserDirectory {
+    constructor(users = []) {
+        this.users = [];
+        this.index = Object.create(null); // lookup key → user record (no prototype: "<@constructor />" finds nobody)
+
+        for (const user of users) {
+            this.add(user);
+        }
+    }
+
+    // Load a directory from a local JSON file
+    static fromFile(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new UserDirectory(Array.isArray(data) ? data : data.users);
+    }
+
+    // Add one user record; id, name and every alias become lookup keys
+    add(user) {
+        if (!user || user.id === undefined || user.id === null) {
+            throw new TypeError('Every directory user needs an id');
+        }
+
+        const record = { ...user, id: String(user.id), aliases: user.aliases || [] };
+        const keys = [record.id, record.name, ...record.aliases];
+
+        for (const key of keys) {
+            if (key === undefined || key === null) {
+                continue;
+            }
+            const lookup = mentionKey(String(key));
+            const existing = this.index[lookup];
+            // Two people can't share an alias: that would pay the wrong person
+            if (existing && existing.id !== record.id) {
+                throw new Error(`"${key}" is used by both ${existing.id} and ${record.id}`);
+            }
+            this.index[lookup] = record;
+        }
+
+        this.users.push(record);
+        return record;
+    }
+
+    // Find the user for a mention name or ID, or null if nobody matches
+    resolve(nameOrId) {
+        return this.index[mentionKey(String(nameOrId))] || null;
+    }
+}
+
+// Who a mention token points at
+// Without a directory: the lowercased name ("<@Alice />" → 'alice').
+// With one: the user's id, or '' when the directory doesn't know the mention.
+function mentionOwner(token, directory) {
+    if (!directory) {
+        return token.key;
+    }
+    const user = directory.resolve(token.name);
+    return user ? user.id : '';
+}
+
+module.exports = { UserDirectory, mentionOwner };
+
+if (require.main === module) {
+    const directory = new UserDirectory([
+        { id: 'U123ABC', name: 'Alice', aliases: ['Ali', 'alice.w'] },
+        { id: 'U456DEF', name: 'Bob' }
+    ]);
+
+    console.log(directory.resolve('U123ABC').name, directory.resolve('ALI').name, directory.resolve('bob').id);
+    // Output: Alice Alice U456DEF
+    console.log(directory.resolve('Charlie'));
+    // Output: null
+}
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+// ============================================
+// DRUMSTICKS COMMAND-LINE INTERFACE
+// ============================================
+// Runs the message parsers on a chat export without writing any code:
+//
+//   node drumsticks.js rewards chat.txt
+//   node drumsticks.js emoji --emoji star,heart chat.txt --format csv
+//   cat notes.txt | node drumsticks.js funds - --format json
+//
+// The file is executable, so "./drumsticks.js rewards chat.txt" works too, and
+// a link on the PATH named drumsticks gives "drumsticks rewards chat.txt".
+// Keep it LF-only (see .gitattributes): "node\r" in the shebang can't run.
+//
+// Commands:
+//   rewards  - who gets how much (Task10 calculateRewards)
+//   emoji    - emoji counts per person (Task11 calculateEmojiCount)
+//   funds    - ledger and balances (Task12 computeFunds)
+//   amounts  - every amount in the text (Task9 extractAmounts)
+
+const fs = require('fs');
+const { extractAmounts } = require('./Task9.Js');
+const { calculateRewardReport } = require('./Task10.js');
+const { calculateEmojiCount } = require('./Task11.js');
+const { computeFunds } = require('./Task12.js');
+const { UserDirectory } = require('./UserDirectory.js');
+const { formatDiagnostic } = require('./Diagnostics.js');
+const { rewardsToRows, emojiCountsToRows, toCsv, toJsonLines, toPayoutFile, loadWallets } = require('./Exporters.js');
+
+const USAGE = `Usage: drumsticks <rewards|emoji|funds|amounts> <file|-> [options]
+
+Reads a chat export from a file, or from stdin when the file is "-".
+
+Options:
+  --format <format>           table, json, csv, jsonl, or payout for rewards (default: table)
+  --wallets <file>            JSON { user: address } mapping for --format payout
+  --memo <text>               Payout memo, {user} and {currency} are filled in
+  --emoji <names>             Emojis to count, comma separated, or "all" (default: star)
+  --currencies <codes>        Only count these currency codes, e.g. USDT,ETH, or "any"
+                              (default: known ones like USDT, ETH, USD)
+  --directory <file>          User directory JSON for resolving mentions
+  --scope <scope>             How far a mention reaches: message, sentence, line or thread
+  --strict                    Print diagnostics to stderr, exit with 1 on errors
+  --help                      Show this help`;
+
+// Helper: Split "--flag value" style arguments into { command, file, options }
+function parseArgs(argv) {
+    const args = { command: null, file: null, options: {} };
+    const flagsWithValue = ['format', 'emoji', 'currencies', 'directory', 'wallets', 'memo', 'scope'];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const name = arg.slice(2);
+            if (flagsWithValue.includes(name)) {
+                if (i + 1 >= argv.length) {
+                    throw new Error(`--${name} needs a value`);
+                }
+                args.options[name] = argv[++i];
+            } else if (name === 'strict' || name === 'help') {
+                args.options[name] = true;
+            } else {
+                throw new Error(`Unknown option: ${arg}`);
+            }
+        } else if (args.command === null) {
+            args.command = arg;
+        } else if (args.file === null) {
+            args.file = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+// Helper: Read the whole input from a file path or stdin ("-")
+async function readInput(file) {
+    if (file !== '-') {
+        return fs.readFileSync(file, 'utf8');
+    }
+    let text = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) {
+        text += chunk;
+    }
+    return text;
+}
+
+// Run one parser and turn its result into
+// { result (for JSON), columns, rows (for table/CSV/JSON Lines), diagnostics }
+function runCommand(command, text, options) {
+    const parserOptions = { strict: options.strict, scope: options.scope };
+    if (options.currencies) {
+        parserOptions.currencies = options.currencies === 'any' ? 'any' : options.currencies.split(',');
+    }
+    if (options.directory) {
+        parserOptions.directory = UserDirectory.fromFile(options.directory);
+    }
+
+    if (command === 'rewards') {
+        const report = calculateRewardReport(text, parserOptions);
+        return {
+            result: report.totals,
+            columns: ['user', 'currency', 'amount'],
+            rows: rewardsToRows(report.totals),
+            diagnostics: report.diagnostics,
+            directory: parserOptions.directory
+        };
+    }
+
+    if (command === 'emoji') {
+        const emojis = options.emoji || 'star';
+        const counts = calculateEmojiCount(text, emojis === 'all' ? 'all' : emojis.split(','), parserOptions);
+        return { result: counts, columns: ['user', 'emoji', 'count'], rows: emojiCountsToRows(counts) };
+    }
+
+    if (command === 'funds') {
+        const ledger = computeFunds(text, parserOptions);
+        return {
+            result: ledger,
+            columns: ['type', 'verb', 'amount', 'currency', 'balance'],
+            rows: ledger.transactions,
+            diagnostics: ledger.diagnostics
+        };
+    }
+
+    if (command === 'amounts') {
+        const amounts = extractAmounts(text, parserOptions);
+        return { result: amounts, columns: ['raw', 'decimal', 'unit', 'start'], rows: amounts };
+    }
+
+    throw new Error(`Unknown command: ${command}`);
+}
+
+// Plain text table with columns padded to the widest value
+function formatTable(columns, rows) {
+    const cells = rows.map(row => columns.map(column => {
+        const value = row[column];
+        return value === null || value === undefined ? '' : String(value);
+    }));
+    const widths = columns.map((column, c) => {
+        let width = column.length;
+        for (const row of cells) {
+            width = Math.max(width, row[c].length);
+        }
+        return width;
+    });
+
+    const line = values => values.map((value, c) => value.padEnd(widths[c])).join('  ').trimEnd();
+    const output = [line(columns), line(widths.map(width => '-'.repeat(width)))];
+    for (const row of cells) {
+        output.push(line(row));
+    }
+    if (rows.length === 0) {
+        output.push('(nothing found)');
+    }
+    return output.join('\n');
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message + '\n\n' + USAGE);
+        return 2;
+    }
+
+    if (args.options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!args.command || !args.file) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const format = args.options.format || 'table';
+    if (!['table', 'json', 'csv', 'jsonl', 'payout'].includes(format)) {
+        console.error(`Unknown format: ${format}\n\n${USAGE}`);
+        return 2;
+    }
+    if (format === 'payout' && args.command !== 'rewards') {
+        console.error('--format payout only works with the rewards command');
+        return 2;
+    }
+
+    if (args.options.scope && !['message', 'sentence', 'line', 'thread'].includes(args.options.scope)) {
+        console.error(`Unknown scope: ${args.options.scope}\n\n${USAGE}`);
+        return 2;
+    }
+
+    let output;
+    let wallets;
+    try {
+        const text = await readInput(args.file);
+        output = runCommand(args.command, text, args.options);
+        wallets = args.options.wallets ? loadWallets(args.options.wallets) : undefined;
+    } catch (error) {
+        console.error(`drumsticks: ${error.message}`);
+        return 2;
+    }
+
+    let missingWallets = [];
+    if (format === 'json') {
+        console.log(JSON.stringify(output.result, null, 2));
+    } else if (format === 'csv') {
+        process.stdout.write(toCsv(output.rows, output.columns));
+    } else if (format === 'jsonl') {
+        process.stdout.write(toJsonLines(output.rows));
+    } else if (format === 'payout') {
+        const payout = toPayoutFile(output.result, { wallets, directory: output.directory, memo: args.options.memo });
+        process.stdout.write(payout.text);
+        missingWallets = payout.missing;
+    } else {
+        console.log(formatTable(output.columns, output.rows));
+        if (args.command === 'funds') {
+            console.log('\nBalances: ' + Object.keys(output.result.balances)
+                .map(currency => `${output.result.balances[currency]} ${currency}`).join(', '));
+        }
+    }
+
+    // Diagnostics go to stderr so they never end up inside CSV/JSON output
+    const diagnostics = output.diagnostics || [];
+    for (const diagnostic of diagnostics) {
+        console.error(formatDiagnostic(diagnostic));
+    }
+    for (const row of missingWallets) {
+        console.error(`No wallet for ${row.user}, left out: ${row.amount} ${row.currency}`);
+    }
+    const hasErrors = diagnostics.some(diagnostic => diagnostic.severity === 'error');
+    return hasErrors || missingWallets.length > 0 ? 1 : 0;
+}
+
+module.exports = { main, parseArgs, formatTable };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}